@@ -0,0 +1,180 @@
+// Small stream proxy for channels that need request headers browsers cannot
+// send (User-Agent, Referer, Origin) or whose servers do not allow CORS.
+//
+//   npm run proxy            # listens on http://127.0.0.1:8787
+//   PROXY_PORT=9000 PROXY_HOST=0.0.0.0 npm run proxy
+//
+// GET /proxy/<name>?token=<token>&url=<stream url>&headers=<JSON object>
+// `<name>` is only there so players can tell the stream type from the path.
+// HLS playlists are rewritten so every segment, key and child playlist is
+// fetched through the proxy with the same headers.
+//
+// Every request needs the token printed on startup, so other websites open
+// in the browser cannot use the proxy to reach the local network. Set
+// PROXY_TOKEN to keep the same token across restarts, and PROXY_PUBLIC_URL
+// when the proxy sits behind another server, e.g. https://tv.example.org.
+import { randomBytes, timingSafeEqual } from "node:crypto";
+import http from "node:http";
+import { Readable } from "node:stream";
+
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const HOST = process.env.PROXY_HOST || "127.0.0.1";
+const TOKEN = process.env.PROXY_TOKEN || randomBytes(16).toString("hex");
+const PUBLIC_URL = process.env.PROXY_PUBLIC_URL?.replace(/\/+$/, "");
+const PLAYLIST_PATTERN = /mpegurl/i;
+// Response headers worth passing back to the player.
+const FORWARDED_HEADERS = ["content-type", "content-length", "content-range", "accept-ranges", "cache-control"];
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Range",
+  "Access-Control-Expose-Headers": "Content-Length, Content-Range",
+};
+
+const hasToken = (requestUrl) => {
+  const given = Buffer.from(requestUrl.searchParams.get("token") || "");
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+const requestOrigin = (req) => {
+  if (PUBLIC_URL) return PUBLIC_URL;
+  const protocol = req.headers["x-forwarded-proto"]?.split(",")[0].trim() || (req.socket.encrypted ? "https" : "http");
+  return `${protocol}://${req.headers.host}`;
+};
+
+// Upstream request headers, as a JSON object of header names to strings.
+const parseHeaders = (headersParam) => {
+  if (!headersParam) return {};
+  let headers;
+  try {
+    headers = JSON.parse(headersParam);
+  } catch {
+    return null;
+  }
+  if (!headers || typeof headers !== "object" || Array.isArray(headers)) return null;
+  const valid = Object.entries(headers).every(
+    ([name, value]) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) && typeof value === "string"
+  );
+  return valid ? headers : null;
+};
+
+const proxyUrl = (origin, url, headersParam) => {
+  const name = new URL(url).pathname.split("/").pop() || "stream";
+  const params = new URLSearchParams({ token: TOKEN, url });
+  if (headersParam) params.set("headers", headersParam);
+  return `${origin}/proxy/${encodeURIComponent(name)}?${params}`;
+};
+
+const rewritePlaylist = (text, baseUrl, toProxy) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith("#")) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${toProxy(new URL(uri, baseUrl).href)}"`);
+      }
+      return toProxy(new URL(trimmed, baseUrl).href);
+    })
+    .join("\n");
+
+const sendError = (res, status, message) => {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "text/plain" });
+  res.end(message);
+};
+
+const handleProxy = async (req, res, requestUrl) => {
+  const target = requestUrl.searchParams.get("url");
+  const headersParam = requestUrl.searchParams.get("headers");
+  if (!target || !/^https?:\/\//i.test(target)) {
+    sendError(res, 400, "Missing or invalid url parameter");
+    return;
+  }
+
+  const headers = parseHeaders(headersParam);
+  if (!headers) {
+    sendError(res, 400, "headers must be a JSON object of strings");
+    return;
+  }
+  if (req.headers.range) headers.Range = req.headers.range;
+
+  const controller = new AbortController();
+  req.on("close", () => controller.abort());
+
+  let upstream;
+  try {
+    upstream = await fetch(target, { headers, redirect: "follow", signal: controller.signal });
+  } catch (err) {
+    sendError(res, 502, `Upstream request failed: ${err.message}`);
+    return;
+  }
+
+  const contentType = upstream.headers.get("content-type") || "";
+  const isPlaylist = PLAYLIST_PATTERN.test(contentType) || /\.m3u8?$/i.test(new URL(upstream.url).pathname);
+
+  if (isPlaylist && upstream.ok) {
+    const origin = requestOrigin(req);
+    const text = await upstream.text();
+    const body = rewritePlaylist(text, upstream.url, (url) => proxyUrl(origin, url, headersParam));
+    res.writeHead(upstream.status, {
+      ...corsHeaders,
+      "Content-Type": "application/vnd.apple.mpegurl",
+      "Cache-Control": "no-cache",
+    });
+    res.end(body);
+    return;
+  }
+
+  const responseHeaders = { ...corsHeaders };
+  FORWARDED_HEADERS.forEach((name) => {
+    const value = upstream.headers.get(name);
+    if (value) responseHeaders[name] = value;
+  });
+  // fetch() has already decompressed the body, so the upstream length no
+  // longer applies.
+  if (upstream.headers.get("content-encoding")) delete responseHeaders["content-length"];
+  res.writeHead(upstream.status, responseHeaders);
+  if (!upstream.body) {
+    res.end();
+    return;
+  }
+  Readable.fromWeb(upstream.body)
+    .on("error", () => res.destroy())
+    .pipe(res);
+};
+
+const server = http.createServer((req, res) => {
+  // Only the path and query are used; the Host header may be anything.
+  let requestUrl;
+  try {
+    requestUrl = new URL(req.url, "http://localhost");
+  } catch {
+    sendError(res, 400, "Bad request");
+    return;
+  }
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+  } else if (req.method !== "GET" && req.method !== "HEAD") {
+    sendError(res, 405, "Method not allowed");
+  } else if (!hasToken(requestUrl)) {
+    sendError(res, 403, "Missing or wrong token");
+  } else if (requestUrl.pathname === "/health") {
+    res.writeHead(200, { ...corsHeaders, "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true }));
+  } else if (requestUrl.pathname.startsWith("/proxy")) {
+    handleProxy(req, res, requestUrl).catch((err) => {
+      if (res.headersSent) res.destroy();
+      else sendError(res, 500, err.message);
+    });
+  } else {
+    sendError(res, 404, "Not found");
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Stream proxy listening on http://${HOST}:${PORT}`);
+  console.log(`Token: ${TOKEN}${process.env.PROXY_TOKEN ? "" : " (set PROXY_TOKEN to keep it across restarts)"}`);
+});
@@ -0,0 +1,136 @@
+// Self-hosted signaling for the phone remote, for networks where the public
+// PeerJS broker is unreachable.
+//
+//   npm run signaling        # PeerJS server on :9000, WebSocket relay on :9001
+//   SIGNALING_PORT=9000 RELAY_PORT=9001 SIGNALING_HOST=0.0.0.0 npm run signaling
+//
+// In the remote's connection settings use http://<this machine>:9000/ as the
+// PeerJS server and ws://<this machine>:9001 as the relay.
+//
+// The relay carries the remote's messages when WebRTC data channels cannot
+// be set up. The TV connects with `?role=host&session=<code>`, remotes with
+// `?role=remote&session=<code>`:
+//   host → relay    { relay: "send" | "close", client, data }
+//   relay → host    { relay: "registered" } once the session is claimed, then
+//                   { relay: "open" | "data" | "close", client, data }
+//   remote ↔ relay  { relay: "ready" } once the TV is found, then
+//                   { relay: "data", data } both ways.
+import { PeerServer } from "peer";
+import { WebSocketServer } from "ws";
+
+const HOST = process.env.SIGNALING_HOST || "0.0.0.0";
+const SIGNALING_PORT = Number(process.env.SIGNALING_PORT) || 9000;
+const RELAY_PORT = Number(process.env.RELAY_PORT) || 9001;
+// Close codes the app turns into messages; keep in sync with
+// src/utils/remoteTransport.js.
+const UNKNOWN_SESSION = 4404;
+const SESSION_IN_USE = 4409;
+const BAD_REQUEST = 4400;
+// Sockets that miss a ping for this long are terminated, so a TV that
+// dropped off the network frees its session code.
+const HEARTBEAT_INTERVAL = 15000;
+// Remote messages are small; a channel list page is the largest.
+const MAX_PAYLOAD = 1024 * 1024;
+
+// session code → { host, remotes: Map<client id, socket> }
+const sessions = new Map();
+let nextClientId = 1;
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const parse = (data) => {
+  try {
+    return JSON.parse(data.toString());
+  } catch {
+    return null;
+  }
+};
+
+const acceptHost = (socket, code) => {
+  if (sessions.has(code)) {
+    socket.close(SESSION_IN_USE, "Session in use");
+    return;
+  }
+  const session = { host: socket, remotes: new Map() };
+  sessions.set(code, session);
+  send(socket, { relay: "registered" });
+
+  socket.on("message", (data) => {
+    const message = parse(data);
+    const remote = session.remotes.get(message?.client);
+    if (!remote) return;
+    if (message.relay === "send") send(remote, { relay: "data", data: message.data });
+    else if (message.relay === "close") remote.close();
+  });
+
+  socket.on("close", () => {
+    sessions.delete(code);
+    session.remotes.forEach((remote) => remote.close());
+  });
+};
+
+const acceptRemote = (socket, code) => {
+  const session = sessions.get(code);
+  if (!session) {
+    socket.close(UNKNOWN_SESSION, "Unknown session");
+    return;
+  }
+  const client = String(nextClientId++);
+  session.remotes.set(client, socket);
+  send(session.host, { relay: "open", client });
+  send(socket, { relay: "ready" });
+
+  socket.on("message", (data) => {
+    const message = parse(data);
+    if (message?.relay === "data") send(session.host, { relay: "data", client, data: message.data });
+  });
+
+  socket.on("close", () => {
+    if (session.remotes.delete(client)) send(session.host, { relay: "close", client });
+  });
+};
+
+const relay = new WebSocketServer({ host: HOST, port: RELAY_PORT, maxPayload: MAX_PAYLOAD });
+
+relay.on("connection", (socket, req) => {
+  // Malformed or oversized frames surface here; unhandled they would take
+  // the whole process down.
+  socket.on("error", (err) => {
+    console.warn(`Relay socket error: ${err.message}`);
+    socket.terminate();
+  });
+  socket.isAlive = true;
+  socket.on("pong", () => {
+    socket.isAlive = true;
+  });
+  const params = new URL(req.url, "http://relay").searchParams;
+  const code = params.get("session");
+  const role = params.get("role");
+  if (!code) socket.close(BAD_REQUEST, "Missing session");
+  else if (role === "host") acceptHost(socket, code);
+  else if (role === "remote") acceptRemote(socket, code);
+  else socket.close(BAD_REQUEST, "Unknown role");
+});
+
+const heartbeat = setInterval(() => {
+  relay.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+
+relay.on("close", () => clearInterval(heartbeat));
+
+relay.on("listening", () => {
+  console.log(`Remote relay listening on ws://${HOST}:${RELAY_PORT}`);
+});
+
+PeerServer({ host: HOST, port: SIGNALING_PORT, path: "/" }, () => {
+  console.log(`PeerJS signaling listening on http://${HOST}:${SIGNALING_PORT}/`);
+});
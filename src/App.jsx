@@ -1,12 +1,21 @@
 import "./App.css";
 import IpTv from "./components/IpTv";
 import RemotePage from "./pages/RemotePage";
+import GuidePage from "./pages/GuidePage";
+import RecordingsPage from "./pages/RecordingsPage";
+import useRecordingScheduler from "./hooks/useRecordingScheduler";
 import { Navigate, Route, Routes } from "react-router-dom";
 
 function App() {
+  // Lives above the routes so scheduled recordings keep running while the
+  // user moves between pages.
+  const scheduler = useRecordingScheduler();
+
   return (
     <Routes>
       <Route path="/" element={<IpTv />} />
+      <Route path="/guide" element={<GuidePage />} />
+      <Route path="/recordings" element={<RecordingsPage scheduler={scheduler} />} />
       <Route path="/remote" element={<RemotePage />} />
       <Route path="/remote/:sessionId" element={<RemotePage />} />
       <Route path="*" element={<Navigate to="/" replace />} />
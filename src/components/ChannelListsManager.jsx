@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from "react";
+import { FAVORITES_LIST_ID, itemMatchesChannel } from "../utils/channelLists";
+
+const MAX_SEARCH_RESULTS = 20;
+
+const ChannelListsManager = ({
+  visible,
+  onClose,
+  lists,
+  channels,
+  selectedChannel,
+  onCreate,
+  onDelete,
+  onAdd,
+  onMoveItem,
+  onRemoveItem,
+}) => {
+  const [activeListId, setActiveListId] = useState(FAVORITES_LIST_ID);
+  const [newListName, setNewListName] = useState("");
+  const [search, setSearch] = useState("");
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const activeList = lists.find((list) => list.id === activeListId) || lists[0];
+
+  const searchResults = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term || !activeList) return [];
+    return channels
+      .filter(
+        (ch) =>
+          ch.name.toLowerCase().includes(term) &&
+          !activeList.items.some((item) => itemMatchesChannel(item, ch))
+      )
+      .slice(0, MAX_SEARCH_RESULTS);
+  }, [search, channels, activeList]);
+
+  if (!visible || !activeList) return null;
+
+  const isAvailable = (item) => channels.some((ch) => itemMatchesChannel(item, ch));
+  const selectedInList =
+    selectedChannel && activeList.items.some((item) => itemMatchesChannel(item, selectedChannel));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    setActiveListId(onCreate(newListName));
+    setNewListName("");
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex != null && dragIndex !== index) {
+      onMoveItem(activeList.id, dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gradient-to-br from-gray-950/95 via-black/90 to-gray-900/95 backdrop-blur-xl flex items-center justify-center p-4">
+      <div className="relative w-full max-w-lg max-h-full overflow-y-auto bg-gradient-to-br from-gray-900 via-gray-900 to-black rounded-3xl border border-white/5 shadow-2xl shadow-black/80 p-6 space-y-5">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+          aria-label="Close lists"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M6 6l12 12M6 18L18 6" />
+          </svg>
+        </button>
+
+        <div>
+          <p className="text-xs text-gray-400 uppercase tracking-[0.3em]">My lists</p>
+          <h2 className="text-2xl font-semibold text-white">Channel lists</h2>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {lists.map((list) => (
+            <button
+              key={list.id}
+              onClick={() => setActiveListId(list.id)}
+              className={`px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors ${
+                list.id === activeList.id
+                  ? "bg-gradient-to-r from-blue-600 to-purple-600 border-blue-400/40"
+                  : "bg-gray-800 border-white/10 text-gray-300 hover:bg-gray-700"
+              }`}
+            >
+              {list.name} ({list.items.length})
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New list name, e.g. Sports"
+            className="flex-1 px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+          />
+          <button
+            type="submit"
+            disabled={!newListName.trim()}
+            className="px-4 py-2.5 rounded-xl bg-gradient-to-r from-blue-600 to-purple-600 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Create
+          </button>
+        </form>
+
+        <div className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-sm font-semibold text-white">{activeList.name}</p>
+            {activeList.id !== FAVORITES_LIST_ID && (
+              <button
+                onClick={() => {
+                  onDelete(activeList.id);
+                  setActiveListId(FAVORITES_LIST_ID);
+                }}
+                className="px-3 py-1.5 rounded-lg text-xs bg-red-600/30 text-red-200 border border-red-400/30"
+              >
+                Delete list
+              </button>
+            )}
+          </div>
+
+          {activeList.items.length === 0 ? (
+            <p className="text-xs text-gray-500 text-center py-3">This list is empty.</p>
+          ) : (
+            <ul className="space-y-1">
+              {activeList.items.map((item, index) => (
+                <li
+                  key={`${item.url}-${index}`}
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    setDropIndex(index);
+                  }}
+                  onDrop={(e) => handleDrop(e, index)}
+                  onDragEnd={() => {
+                    setDragIndex(null);
+                    setDropIndex(null);
+                  }}
+                  className={`flex items-center gap-3 px-3 py-2 rounded-xl bg-gray-800/60 border cursor-grab active:cursor-grabbing ${
+                    dropIndex === index && dragIndex !== index ? "border-blue-500/70" : "border-transparent"
+                  } ${dragIndex === index ? "opacity-50" : ""}`}
+                >
+                  <svg className="w-4 h-4 text-gray-500 flex-shrink-0" fill="currentColor" viewBox="0 0 24 24">
+                    <path d="M9 5h2v2H9zm4 0h2v2h-2zM9 11h2v2H9zm4 0h2v2h-2zm-4 6h2v2H9zm4 0h2v2h-2z" />
+                  </svg>
+                  <span className={`flex-1 text-sm truncate ${isAvailable(item) ? "text-white" : "text-gray-500 line-through"}`}>
+                    {item.name}
+                  </span>
+                  <button
+                    onClick={() => onRemoveItem(activeList.id, index)}
+                    className="text-gray-400 hover:text-red-300 transition-colors"
+                    aria-label={`Remove ${item.name}`}
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l12 12M6 18L18 6" />
+                    </svg>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {selectedChannel && !selectedInList && (
+            <button
+              onClick={() => onAdd(activeList.id, selectedChannel)}
+              className="w-full py-2 rounded-xl bg-gray-800 border border-white/10 text-xs font-semibold"
+            >
+              Add "{selectedChannel.name}"
+            </button>
+          )}
+
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search channels to add..."
+            className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+          />
+          {searchResults.length > 0 && (
+            <ul className="max-h-48 overflow-y-auto space-y-1">
+              {searchResults.map((ch, idx) => (
+                <li key={`${ch.url}-${idx}`}>
+                  <button
+                    onClick={() => onAdd(activeList.id, ch)}
+                    className="w-full flex items-center justify-between gap-2 px-3 py-2 rounded-xl hover:bg-gray-800 text-left"
+                  >
+                    <span className="text-sm truncate">{ch.name}</span>
+                    <span className="text-xs text-blue-300">Add</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelListsManager;
@@ -8,45 +8,116 @@ import React, {
   memo,
 } from "react";
 import Player from "./Player";
+import MultiView from "./MultiView";
 import RemoteControl from "./RemoteControl";
-import Peer from "peerjs";
+import RemoteConnectionSettings from "./RemoteConnectionSettings";
 import { QRCodeCanvas } from "qrcode.react";
-const parseM3U = (text) => {
-  const lines = text.split("\n");
-  const channels = [];
-  let current = {};
-  for (let line of lines) {
-    line = line.trim();
-    if (!line) continue;
-    if (line.startsWith("#EXTINF:")) {
-      const name = line.split(",")[1] || "Unknown";
-      const logoMatch = line.match(/tvg-logo="(.*?)"/i);
-      const groupMatch = line.match(/group-title="(.*?)"/i);
-      current = {
-        name: name.trim(),
-        logo: logoMatch ? logoMatch[1] : null,
-        group: groupMatch ? groupMatch[1] : "Other",
-      };
-    } else if (!line.startsWith("#")) {
-      current.url = line;
-      channels.push(current);
-      current = {};
-    }
-  }
-  return channels;
-};
- 
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import PlaylistManager from "./PlaylistManager";
+import PlaylistImport from "./PlaylistImport";
+import ChannelListsManager from "./ChannelListsManager";
+import RecentChannels from "./RecentChannels";
+import useChannelLists from "../hooks/useChannelLists";
+import useWatchHistory from "../hooks/useWatchHistory";
+import useStoredState from "../hooks/useStoredState";
+import usePlaylistSources from "../hooks/usePlaylistSources";
+import useEpg from "../hooks/useEpg";
+import useNow from "../hooks/useNow";
+import useStreamHealth from "../hooks/useStreamHealth";
+import useMediaQuery from "../hooks/useMediaQuery";
+import { SOURCE_CATEGORY_PREFIX } from "../utils/playlistSources";
+import { LIST_CATEGORY_PREFIX, itemMatchesChannel, resolveListChannels } from "../utils/channelLists";
+import {
+  CHANNEL_NUMBERS_STORAGE_KEY,
+  assignChannelNumbers,
+  getChannelNumberKey,
+} from "../utils/channelNumbers";
+import { findChannelProgrammes, formatProgrammeTime, getNowNext } from "../utils/xmltv";
+import { describeHealth, isDeadStream } from "../utils/streamHealth";
+import { channelHasSource, getPlayerSources } from "../utils/channelGroups";
+import { getCatchupUrls } from "../utils/catchup";
+import { DEFAULT_PROXY_SETTINGS, PROXY_SETTINGS_STORAGE_KEY, applyProxy } from "../utils/proxy";
+import {
+  HEARTBEAT_INTERVAL,
+  HEARTBEAT_TIMEOUT,
+  REMOTE_LIST_ALL,
+  getChannelListVersion,
+  queryRemoteChannels,
+  toRemoteChannel,
+  toRemoteProgramme,
+} from "../utils/remoteProtocol";
+import {
+  MAX_PIN_ATTEMPTS,
+  PERMISSION_LABELS,
+  REMOTE_DEVICES_STORAGE_KEY,
+  REMOTE_PERMISSIONS,
+  generatePairingPin,
+  getPinLockoutDelay,
+  isMessageAllowed,
+} from "../utils/remotePairing";
+import {
+  DEFAULT_REMOTE_CONNECTION,
+  REMOTE_CONNECTION_STORAGE_KEY,
+  createRemoteHost,
+  encodeRemoteConnection,
+} from "../utils/remoteTransport";
+
 const generateSessionId = () => Math.random().toString(36).slice(2, 8).toUpperCase();
 const REMOTE_SESSION_STORAGE_KEY = "iptv-remote-session-id";
+// Gives the last message a chance to reach the remote before closing.
+const REMOTE_CLOSE_DELAY = 300;
+// How often remotes hear how far playback trails the live edge.
+const REMOTE_LIVE_STATE_INTERVAL = 5000;
 
+const sendToRemote = (client, type, payload) => {
+  if (client.conn.open) client.conn.send({ type, payload });
+};
+const HIDE_DEAD_STORAGE_KEY = "iptv-hide-dead-channels";
+
+const HEALTH_DOT_CLASSES = {
+  ok: "bg-green-400",
+  error: "bg-red-500",
+  timeout: "bg-yellow-400",
+  cors: "bg-orange-400",
+};
 
-function App() {
-  const playlistURL =
-    "https://raw.githubusercontent.com/bugsfreeweb/LiveTVCollector/refs/heads/main/LiveTV/Bangladesh/LiveTV.m3u";
 
-  const [channels, setChannels] = useState([]);
+function App() {
+  const {
+    sources,
+    channels: playlistChannels,
+    loading,
+    refreshAll,
+    refreshSource,
+    addSource,
+    importPlaylist,
+    removeSource,
+    toggleSource,
+    moveSource,
+  } = usePlaylistSources();
+  const [numberOverrides, setNumberOverrides] = useStoredState(CHANNEL_NUMBERS_STORAGE_KEY, {});
+  const channels = useMemo(
+    () => assignChannelNumbers(playlistChannels, numberOverrides),
+    [playlistChannels, numberOverrides]
+  );
+  const channelLists = useChannelLists();
+  const { lists, isFavorite, toggleFavorite } = channelLists;
+  const epg = useEpg(sources);
+  const now = useNow();
+  const streamHealth = useStreamHealth(channels);
+  const { getHealth } = streamHealth;
+  const [hideDeadChannels, setHideDeadChannels] = useStoredState(HIDE_DEAD_STORAGE_KEY, false);
+  const [proxySettings, setProxySettings] = useStoredState(PROXY_SETTINGS_STORAGE_KEY, DEFAULT_PROXY_SETTINGS);
+  const location = useLocation();
+  const navigate = useNavigate();
   const [selectedChannel, setSelectedChannel] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [catchup, setCatchup] = useState(null);
+  const [multiView, setMultiView] = useState(null);
+  const watchHistory = useWatchHistory(selectedChannel);
+  const { startupChannel, resumeLastChannel } = watchHistory;
+  const [showPlaylistManager, setShowPlaylistManager] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showListsManager, setShowListsManager] = useState(false);
 
   // Filters
   const [searchTerm, setSearchTerm] = useState("");
@@ -56,6 +127,10 @@ function App() {
 
   // mobile state
   const [showPlayerOnMobile, setShowPlayerOnMobile] = useState(false);
+  const [miniPlayerClosed, setMiniPlayerClosed] = useState(false);
+  // Only one Player is mounted so the hidden layout never plays a second
+  // copy of the stream.
+  const isDesktop = useMediaQuery("(min-width: 768px)");
   const [showRemote, setShowRemote] = useState(false);
   const [playerState, setPlayerState] = useState({
     isPlaying: false,
@@ -66,68 +141,279 @@ function App() {
     () => localStorage.getItem(REMOTE_SESSION_STORAGE_KEY) || ""
   );
   const [remoteHostStatus, setRemoteHostStatus] = useState("inactive");
-  const [remoteConnectedClients, setRemoteConnectedClients] = useState(0);
+  const [remoteClients, setRemoteClients] = useState([]);
   const [remoteError, setRemoteError] = useState(null);
+  const [trustedRemotes, setTrustedRemotes] = useStoredState(REMOTE_DEVICES_STORAGE_KEY, []);
+  const [remoteConnection, setRemoteConnection] = useStoredState(
+    REMOTE_CONNECTION_STORAGE_KEY,
+    DEFAULT_REMOTE_CONNECTION
+  );
   const playerRef = useRef(null);
-  const remotePeerRef = useRef(null);
+  const remoteHostRef = useRef(null);
+  // One entry per open connection: `{ id, conn, status, deviceKey, name,
+  // permission, pin, attempts, lastSeen }`, status being "new", "pending"
+  // or "approved".
   const remoteConnectionsRef = useRef([]);
+  // Wrong PINs from every connection this session, and until when PIN
+  // pairing is locked because of them.
+  const pinFailuresRef = useRef({ count: 0, lockedUntil: 0 });
 
+  // The guide links back here with the channel to tune to, and optionally
+  // a past programme to play from the archive.
+  const playChannelUrl = location.state?.playChannelUrl;
+  const catchupRequest = location.state?.catchup;
   useEffect(() => {
-    const saved = localStorage.getItem("sharedChannels");
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      setChannels(parsed);
-      if (parsed.length > 0) setSelectedChannel(parsed[0]);
-    } else {
-      fetchPlaylist();
+    if (!playChannelUrl || channels.length === 0) return;
+    const channel = channels.find((ch) => ch.url === playChannelUrl);
+    if (channel) {
+      setSelectedChannel(channel);
+      setCatchup(
+        catchupRequest
+          ? { channelUrl: channel.url, programme: catchupRequest, requestedAt: Date.now() }
+          : null
+      );
+      if (window.innerWidth < 1040) {
+        setShowPlayerOnMobile(true);
+      }
     }
-  }, []);
+    navigate(location.pathname, { replace: true, state: null });
+  }, [playChannelUrl, catchupRequest, channels, navigate, location.pathname]);
 
-  const fetchPlaylist = async () => {
-    try {
-      setLoading(true);
-      const response = await fetch(playlistURL);
-      const text = await response.text();
-      const parsedChannels = parseM3U(text);
-      setChannels(parsedChannels);
-      if (parsedChannels.length > 0) setSelectedChannel(parsedChannels[0]);
-      localStorage.setItem("sharedChannels", JSON.stringify(parsedChannels));
-    } catch (err) {
-      console.error("Failed to fetch playlist:", err);
-    } finally {
-      setLoading(false);
+  // Catch-up ends as soon as another channel is tuned.
+  const activeCatchup = catchup && catchup.channelUrl === selectedChannel?.url ? catchup : null;
+  useEffect(() => {
+    if (catchup && catchup.channelUrl !== selectedChannel?.url) setCatchup(null);
+  }, [catchup, selectedChannel]);
+
+  useEffect(() => {
+    // An empty multi-view tile can be focused on purpose.
+    if (selectedChannel || multiView || playChannelUrl || channels.length === 0) return;
+    const resumed =
+      resumeLastChannel &&
+      startupChannel &&
+      channels.find((ch) => itemMatchesChannel(startupChannel, ch));
+    setSelectedChannel(resumed || channels[0]);
+  }, [channels, selectedChannel, multiView, playChannelUrl, resumeLastChannel, startupChannel]);
+
+  const channelProgrammes = useMemo(() => {
+    const map = new Map();
+    if (!epg.index) return map;
+    channels.forEach((ch) => map.set(ch.url, findChannelProgrammes(epg.index, ch)));
+    return map;
+  }, [channels, epg.index]);
+
+  const getProgrammes = useCallback(
+    (ch) => (ch && channelProgrammes.get(ch.url)) || [],
+    [channelProgrammes]
+  );
+
+  const sourceNames = useMemo(() => new Map(sources.map((s) => [s.id, s.name])), [sources]);
+
+  const sourcesForChannel = useCallback(
+    (channel) => getPlayerSources(channel, { proxySettings, sourceNames }),
+    [sourceNames, proxySettings]
+  );
+
+  const playerSources = useMemo(() => {
+    if (!selectedChannel) return [];
+    if (activeCatchup) {
+      return getCatchupUrls(selectedChannel, activeCatchup.programme, activeCatchup.requestedAt).map(
+        ({ entry, url }) => {
+          const playUrl = applyProxy(proxySettings, entry, url);
+          return {
+            url: playUrl,
+            label: `${sourceNames.get(entry.sourceId) || "Archive"} (catch-up)`,
+            headers: playUrl === url ? entry.headers : undefined,
+            kodiProps: entry.kodiProps,
+            drm: entry.drm,
+          };
+        }
+      );
     }
-  };
+    return sourcesForChannel(selectedChannel);
+  }, [selectedChannel, sourceNames, activeCatchup, proxySettings, sourcesForChannel]);
 
-  const handleRefresh = () => {
-    localStorage.removeItem("sharedChannels");
-    fetchPlaylist();
-  };
+  // Multi-view keeps the focused tile's channel in `selectedChannel`, so
+  // next/prev, direct tuning and the remote all act on the focused tile.
+  // `tiles` holds the channel URLs of the other tiles.
+  const channelListVersion = useMemo(() => getChannelListVersion(channels), [channels]);
+  const channelsByUrl = useMemo(() => new Map(channels.map((ch) => [ch.url, ch])), [channels]);
+
+  const multiViewTiles = useMemo(() => {
+    if (!multiView) return [];
+    return multiView.tiles.map((url, index) =>
+      index === multiView.focused ? selectedChannel : channelsByUrl.get(url) || null
+    );
+  }, [multiView, selectedChannel, channelsByUrl]);
+
+  const tileSources = useMemo(
+    () =>
+      multiViewTiles.map((ch, index) =>
+        index === multiView?.focused ? playerSources : ch ? sourcesForChannel(ch) : []
+      ),
+    [multiViewTiles, multiView?.focused, playerSources, sourcesForChannel]
+  );
+
+  const openMultiView = useCallback(() => {
+    setMultiView({ layout: 2, focused: 0, tiles: [selectedChannel?.url || null, null, null, null] });
+  }, [selectedChannel]);
+
+  const focusTile = useCallback(
+    (index) => {
+      if (!multiView || index === multiView.focused || index < 0 || index >= multiView.layout) return;
+      const tiles = [...multiView.tiles];
+      tiles[multiView.focused] = selectedChannel?.url || null;
+      setMultiView({ ...multiView, tiles, focused: index });
+      setSelectedChannel(channelsByUrl.get(tiles[index]) || null);
+    },
+    [multiView, selectedChannel, channelsByUrl]
+  );
+
+  const setTileChannel = useCallback(
+    (index, url) => {
+      const channel = channelsByUrl.get(url) || null;
+      if (index === multiView?.focused) {
+        setSelectedChannel(channel);
+        return;
+      }
+      setMultiView((prev) => {
+        const tiles = [...prev.tiles];
+        tiles[index] = channel?.url || null;
+        return { ...prev, tiles };
+      });
+    },
+    [multiView?.focused, channelsByUrl]
+  );
+
+  const setMultiViewLayout = useCallback(
+    (layout) => {
+      if (multiView && multiView.focused >= layout) focusTile(0);
+      setMultiView((prev) => ({ ...prev, layout }));
+    },
+    [multiView, focusTile]
+  );
+
+  // Worked out once per tick for the whole list. Progress is rounded so a
+  // card only re-renders when its bar visibly moves.
+  const nowPlaying = useMemo(() => {
+    const map = new Map();
+    channels.forEach((ch) => {
+      const programme = getNowNext(getProgrammes(ch), now).now;
+      if (!programme) return;
+      const progress =
+        programme.stop && programme.stop > programme.start
+          ? Math.round(Math.min(100, Math.max(0, ((now - programme.start) / (programme.stop - programme.start)) * 100)))
+          : null;
+      map.set(ch.url, { programme, progress });
+    });
+    return map;
+  }, [channels, getProgrammes, now]);
+
+  const selectedNowNext = useMemo(
+    () => getNowNext(getProgrammes(selectedChannel), now),
+    [getProgrammes, selectedChannel, now]
+  );
 
   const categories = useMemo(() => {
     const groups = new Set(channels.map((ch) => ch.group || "Other"));
     return ["All", ...groups];
   }, [channels]);
 
+  const sourceCategories = useMemo(() => {
+    const enabled = sources.filter((s) => s.enabled);
+    if (enabled.length < 2) return [];
+    return enabled.map((s) => ({ value: `${SOURCE_CATEGORY_PREFIX}${s.id}`, label: s.name }));
+  }, [sources]);
+
+  const listCategories = useMemo(
+    () => lists.map((list) => ({ value: `${LIST_CATEGORY_PREFIX}${list.id}`, label: list.name })),
+    [lists]
+  );
+
+  const deadChannelCount = useMemo(
+    () => channels.filter((ch) => isDeadStream(getHealth(ch))).length,
+    [channels, getHealth]
+  );
+
   const filteredChannels = useMemo(() => {
     const search = deferredSearchTerm.toLowerCase();
     const category = deferredCategory;
+    const isVisible = (ch) => !hideDeadChannels || !isDeadStream(getHealth(ch));
+    // Custom lists keep their own order instead of the playlist order.
+    if (category.startsWith(LIST_CATEGORY_PREFIX)) {
+      const listId = category.slice(LIST_CATEGORY_PREFIX.length);
+      return resolveListChannels(
+        lists.find((list) => list.id === listId),
+        channels
+      ).filter((ch) => ch.name.toLowerCase().includes(search) && isVisible(ch));
+    }
     return channels.filter((ch) => {
+      if (!isVisible(ch)) return false;
       const matchesName = ch.name.toLowerCase().includes(search);
-      const matchesCategory = category === "All" || ch.group === category;
+      const matchesCategory =
+        category === "All" ||
+        (category.startsWith(SOURCE_CATEGORY_PREFIX)
+          ? channelHasSource(ch, category.slice(SOURCE_CATEGORY_PREFIX.length))
+          : ch.group === category);
       return matchesName && matchesCategory;
     });
-  }, [channels, deferredSearchTerm, deferredCategory]);
+  }, [channels, lists, deferredSearchTerm, deferredCategory, hideDeadChannels, getHealth]);
 
 
   const handleSelectChannel = async (ch) => {
     setSelectedChannel(ch);
+    setMiniPlayerClosed(false);
     // mobile only
     if (window.innerWidth < 1040) {
       setShowPlayerOnMobile(true);
     }
   };
 
+  const tuneToChannel = useCallback(
+    (channel) => {
+      if (!channel) return false;
+      // Direct tuning can land outside the current filter; clear it so
+      // next/prev keep working from the tuned channel.
+      if (!filteredChannels.some((ch) => ch.url === channel.url)) {
+        setSearchTerm("");
+        setSelectedCategory("All");
+      }
+      setSelectedChannel(channel);
+      return true;
+    },
+    [filteredChannels]
+  );
+
+  const tuneToNumber = useCallback(
+    (number) => tuneToChannel(channels.find((ch) => ch.number === number)),
+    [channels, tuneToChannel]
+  );
+
+  const setChannelNumber = useCallback(
+    (channel, number) => {
+      const key = getChannelNumberKey(channel);
+      setNumberOverrides((prev) => {
+        const next = { ...prev };
+        if (Number.isInteger(number) && number > 0) {
+          // A number can only belong to one channel.
+          Object.keys(next).forEach((k) => next[k] === number && delete next[k]);
+          next[key] = number;
+        } else {
+          delete next[key];
+        }
+        return next;
+      });
+    },
+    [setNumberOverrides]
+  );
+
+  // Keep the selected channel in sync with renumbered copies.
+  useEffect(() => {
+    if (!selectedChannel) return;
+    const current = channels.find((ch) => ch.url === selectedChannel.url);
+    if (current && current !== selectedChannel) setSelectedChannel(current);
+  }, [channels, selectedChannel]);
+
   const getCurrentChannelIndex = useCallback(() => {
     return filteredChannels.findIndex((ch) => ch.url === selectedChannel?.url);
   }, [filteredChannels, selectedChannel]);
@@ -182,6 +468,26 @@ function App() {
     playerRef.current?.setVolume(value);
   }, []);
 
+  const remoteSeekBy = useCallback((seconds) => {
+    playerRef.current?.seekBy(seconds);
+  }, []);
+
+  const remoteGoLive = useCallback(() => {
+    playerRef.current?.goLive();
+  }, []);
+
+  const remoteSetQuality = useCallback((level) => {
+    playerRef.current?.setQuality(level);
+  }, []);
+
+  const remoteSetAudioTrack = useCallback((id) => {
+    playerRef.current?.setAudioTrack(id);
+  }, []);
+
+  const remoteSetSubtitleTrack = useCallback((id) => {
+    playerRef.current?.setSubtitleTrack(id);
+  }, []);
+
   const handleRemoteCommand = useCallback(
     (command, payload) => {
       switch (command) {
@@ -206,11 +512,49 @@ function App() {
         case "volume-down":
           remoteVolumeDown();
           break;
+        case "tune-number":
+          if (typeof payload?.number === "number") {
+            tuneToNumber(payload.number);
+          }
+          break;
         case "set-volume":
           if (typeof payload?.value === "number") {
             remoteVolumeChange(payload.value);
           }
           break;
+        case "seek-by":
+          if (typeof payload?.seconds === "number") {
+            remoteSeekBy(payload.seconds);
+          }
+          break;
+        case "go-live":
+          remoteGoLive();
+          break;
+        case "set-quality":
+          if (typeof payload?.level === "number") {
+            remoteSetQuality(payload.level);
+          }
+          break;
+        case "set-audio-track":
+          if (typeof payload?.id === "number") {
+            remoteSetAudioTrack(payload.id);
+          }
+          break;
+        case "set-subtitle-track":
+          if (typeof payload?.id === "string") {
+            remoteSetSubtitleTrack(payload.id);
+          }
+          break;
+        case "select-channel":
+          if (typeof payload?.url === "string") {
+            tuneToChannel(channelsByUrl.get(payload.url));
+          }
+          break;
+        case "focus-tile":
+          if (typeof payload?.index === "number") {
+            focusTile(payload.index);
+          }
+          break;
         default:
           break;
       }
@@ -224,45 +568,270 @@ function App() {
       remoteVolumeUp,
       remoteVolumeDown,
       remoteVolumeChange,
+      remoteSeekBy,
+      remoteGoLive,
+      remoteSetQuality,
+      remoteSetAudioTrack,
+      remoteSetSubtitleTrack,
+      tuneToNumber,
+      tuneToChannel,
+      channelsByUrl,
+      focusTile,
     ]
   );
 
+  // What the remote needs to show the tile switcher.
+  const remoteMultiView = useMemo(
+    () =>
+      multiView && {
+        layout: multiView.layout,
+        focused: multiView.focused,
+        tiles: multiViewTiles.slice(0, multiView.layout).map((ch) => ch?.name || null),
+      },
+    [multiView, multiViewTiles]
+  );
+
+  // Only what the remote shows; the full entry carries every source URL,
+  // request header and DRM key.
+  const remoteChannel = useMemo(
+    () =>
+      selectedChannel && {
+        ...toRemoteChannel(selectedChannel),
+        now: toRemoteProgramme(selectedNowNext.now),
+        next: toRemoteProgramme(selectedNowNext.next),
+      },
+    [selectedChannel, selectedNowNext.now, selectedNowNext.next]
+  );
+
+  // `live.behind` ticks every second while playback trails the live edge,
+  // so it is left out of what triggers a send and refreshed on an interval.
+  const playerStateRef = useRef(playerState);
+  useEffect(() => {
+    playerStateRef.current = playerState;
+  }, [playerState]);
+  const remotePlayerKey = useMemo(
+    () =>
+      JSON.stringify({
+        ...playerState,
+        live: playerState.live && { ...playerState.live, behind: playerState.live.behind > 0 },
+      }),
+    [playerState]
+  );
+  const isBehindLive = playerState.live?.behind > 0;
+
   const sendStateToConnection = useCallback(
     (conn) => {
       if (!conn?.open) return;
       conn.send({
         type: "state",
         payload: {
-          channel: selectedChannel,
-          player: playerState,
+          channel: remoteChannel,
+          player: playerStateRef.current,
           nav: {
             hasNext: hasNextChannel(),
             hasPrev: hasPrevChannel(),
           },
+          multiView: remoteMultiView,
+          listVersion: channelListVersion,
         },
       });
     },
-    [selectedChannel, playerState, hasNextChannel, hasPrevChannel]
+    [remoteChannel, hasNextChannel, hasPrevChannel, remoteMultiView, channelListVersion]
+  );
+
+  const remoteCategories = useMemo(() => categories.filter((c) => c !== REMOTE_LIST_ALL), [categories]);
+
+  const syncRemoteClients = useCallback(() => {
+    setRemoteClients(
+      remoteConnectionsRef.current.map(({ id, deviceKey, name, status, permission, pin }) => ({
+        id,
+        deviceKey,
+        name,
+        status,
+        permission,
+        pin,
+      }))
+    );
+  }, []);
+
+  const findRemoteClient = (id) => remoteConnectionsRef.current.find((client) => client.id === id);
+
+  const closeRemoteClient = useCallback((client, status, reason) => {
+    sendToRemote(client, "pairing", { status, reason });
+    setTimeout(() => client.conn.close(), REMOTE_CLOSE_DELAY);
+  }, []);
+
+  const approveRemoteClient = useCallback(
+    (client, permission) => {
+      Object.assign(client, { status: "approved", permission, pin: null });
+      sendToRemote(client, "pairing", { status: "approved", permission });
+      sendStateToConnection(client.conn);
+      syncRemoteClients();
+    },
+    [sendStateToConnection, syncRemoteClients]
+  );
+
+  // Newly paired devices are remembered so they reconnect without a PIN.
+  const pairRemoteClient = useCallback(
+    (client, permission) => {
+      setTrustedRemotes((prev) => [
+        ...prev.filter((device) => device.key !== client.deviceKey),
+        { key: client.deviceKey, name: client.name, permission, pairedAt: Date.now() },
+      ]);
+      approveRemoteClient(client, permission);
+    },
+    [setTrustedRemotes, approveRemoteClient]
+  );
+
+  const handleRemoteMessage = useCallback(
+    (client, message) => {
+      if (!isMessageAllowed(client, message?.type)) {
+        sendToRemote(client, "error", {
+          message: client.status === "approved" ? "This device has view-only access" : "This device is not paired",
+        });
+        return;
+      }
+      switch (message.type) {
+        case "ping":
+          sendToRemote(client, "pong", message.payload);
+          break;
+        case "hello": {
+          const deviceKey = message.payload?.deviceKey;
+          if (client.status !== "new" || typeof deviceKey !== "string" || !deviceKey) break;
+          const trusted = trustedRemotes.find((device) => device.key === deviceKey);
+          client.deviceKey = deviceKey;
+          client.name = trusted?.name || String(message.payload.deviceName || "Remote device").slice(0, 40);
+          if (trusted) {
+            approveRemoteClient(client, trusted.permission);
+          } else {
+            client.status = "pending";
+            client.pin = generatePairingPin();
+            sendToRemote(client, "pairing", { status: "pending" });
+            syncRemoteClients();
+          }
+          break;
+        }
+        case "pair": {
+          if (client.status !== "pending") break;
+          const failures = pinFailuresRef.current;
+          const lockedFor = failures.lockedUntil - Date.now();
+          if (lockedFor > 0) {
+            sendToRemote(client, "pairing", {
+              status: "pending",
+              reason: `Too many wrong PINs. Try again in ${Math.ceil(lockedFor / 1000)}s or approve on the TV`,
+            });
+            break;
+          }
+          if (String(message.payload?.pin) === client.pin) {
+            pinFailuresRef.current = { count: 0, lockedUntil: 0 };
+            pairRemoteClient(client, REMOTE_PERMISSIONS.FULL);
+            break;
+          }
+          failures.count += 1;
+          failures.lockedUntil = Date.now() + getPinLockoutDelay(failures.count);
+          if (++client.attempts >= MAX_PIN_ATTEMPTS) {
+            closeRemoteClient(client, "rejected", "Too many wrong PINs");
+          } else {
+            sendToRemote(client, "pairing", { status: "pending", reason: "Wrong PIN, try again" });
+          }
+          break;
+        }
+        case "command":
+          handleRemoteCommand(message.command, message.payload);
+          break;
+        case "list-request":
+          sendToRemote(client, "list", {
+            requestId: message.payload?.requestId,
+            version: channelListVersion,
+            categories: remoteCategories,
+            ...queryRemoteChannels(channels, message.payload),
+          });
+          break;
+        default:
+          break;
+      }
+    },
+    [
+      trustedRemotes,
+      approveRemoteClient,
+      pairRemoteClient,
+      closeRemoteClient,
+      syncRemoteClients,
+      handleRemoteCommand,
+      channelListVersion,
+      remoteCategories,
+      channels,
+    ]
   );
 
+  // Connections outlive renders; messages always go to the latest handler.
+  const handleRemoteMessageRef = useRef(handleRemoteMessage);
+  useEffect(() => {
+    handleRemoteMessageRef.current = handleRemoteMessage;
+  }, [handleRemoteMessage]);
+
   const broadcastRemoteState = useCallback(() => {
-    if (remoteConnectionsRef.current.length === 0) return;
-    remoteConnectionsRef.current.forEach((conn) => sendStateToConnection(conn));
+    remoteConnectionsRef.current
+      .filter((client) => client.status === "approved")
+      .forEach((client) => sendStateToConnection(client.conn));
   }, [sendStateToConnection]);
 
+  const approveRemote = (id, permission) => {
+    const client = findRemoteClient(id);
+    if (client?.status === "pending") pairRemoteClient(client, permission);
+  };
+
+  const rejectRemote = (id) => {
+    const client = findRemoteClient(id);
+    if (client) closeRemoteClient(client, "rejected", "The TV declined the pairing request");
+  };
+
+  const kickRemote = (id) => {
+    const client = findRemoteClient(id);
+    if (client) closeRemoteClient(client, "kicked", "Disconnected by the TV");
+  };
+
+  const setRemotePermission = (deviceKey, permission) => {
+    setTrustedRemotes((prev) => prev.map((device) => (device.key === deviceKey ? { ...device, permission } : device)));
+    remoteConnectionsRef.current
+      .filter((client) => client.deviceKey === deviceKey && client.status === "approved")
+      .forEach((client) => {
+        client.permission = permission;
+        sendToRemote(client, "pairing", { status: "approved", permission });
+      });
+    syncRemoteClients();
+  };
+
+  const renameRemote = (deviceKey, name) => {
+    setTrustedRemotes((prev) => prev.map((device) => (device.key === deviceKey ? { ...device, name } : device)));
+    remoteConnectionsRef.current
+      .filter((client) => client.deviceKey === deviceKey)
+      .forEach((client) => {
+        client.name = name;
+      });
+    syncRemoteClients();
+  };
+
+  const forgetRemote = (deviceKey) => {
+    setTrustedRemotes((prev) => prev.filter((device) => device.key !== deviceKey));
+    remoteConnectionsRef.current
+      .filter((client) => client.deviceKey === deviceKey)
+      .forEach((client) => closeRemoteClient(client, "kicked", "This device was removed by the TV"));
+  };
+
   const stopRemoteHost = useCallback((nextStatus = "inactive") => {
-    remoteConnectionsRef.current.forEach((conn) => conn.close());
+    remoteConnectionsRef.current.forEach((client) => client.conn.close());
     remoteConnectionsRef.current = [];
-    setRemoteConnectedClients(0);
-    if (remotePeerRef.current) {
-      remotePeerRef.current.destroy();
-      remotePeerRef.current = null;
+    setRemoteClients([]);
+    if (remoteHostRef.current) {
+      remoteHostRef.current.destroy();
+      remoteHostRef.current = null;
     }
     setRemoteHostStatus(nextStatus);
   }, []);
 
   const startRemoteHost = useCallback(() => {
-    if (remotePeerRef.current) {
+    if (remoteHostRef.current) {
       setRemoteHostStatus("ready");
       return;
     }
@@ -273,43 +842,47 @@ function App() {
     setRemoteHostStatus("connecting");
     setRemoteError(null);
 
-    const peer = new Peer(id, { debug: 0 });
-    remotePeerRef.current = peer;
-
-    peer.on("open", () => {
-      setRemoteHostStatus("ready");
-    });
-
-    peer.on("connection", (conn) => {
-      remoteConnectionsRef.current.push(conn);
-      setRemoteConnectedClients(remoteConnectionsRef.current.length);
-
-      conn.on("data", (message) => {
-        if (message?.type === "command") {
-          handleRemoteCommand(message.command, message.payload);
-        } else if (message?.type === "remote-ready") {
-          sendStateToConnection(conn);
-        }
-      });
-
-      const cleanupConnection = () => {
-        remoteConnectionsRef.current = remoteConnectionsRef.current.filter((c) => c !== conn);
-        setRemoteConnectedClients(remoteConnectionsRef.current.length);
-      };
+    remoteHostRef.current = createRemoteHost(id, remoteConnection, {
+      onReady: () => setRemoteHostStatus("ready"),
+      onReconnecting: () => setRemoteHostStatus("reconnecting"),
+      onConnection: (conn) => {
+        // Until its device is paired a connection only gets pairing
+        // messages and heartbeats.
+        const client = {
+          id: conn.connectionId,
+          conn,
+          status: "new",
+          deviceKey: null,
+          name: "New device",
+          permission: null,
+          pin: null,
+          attempts: 0,
+          lastSeen: Date.now(),
+        };
+        remoteConnectionsRef.current.push(client);
+        syncRemoteClients();
 
-      conn.on("close", cleanupConnection);
-      conn.on("error", () => {
-        cleanupConnection();
-      });
+        conn.on("data", (message) => {
+          client.lastSeen = Date.now();
+          handleRemoteMessageRef.current(client, message);
+        });
 
-      sendStateToConnection(conn);
-    });
+        const cleanupConnection = () => {
+          remoteConnectionsRef.current = remoteConnectionsRef.current.filter((c) => c !== client);
+          syncRemoteClients();
+        };
 
-    peer.on("error", (err) => {
-      setRemoteError(err?.message || "Unable to start remote session");
-      stopRemoteHost("error");
+        conn.on("close", cleanupConnection);
+        conn.on("error", () => {
+          cleanupConnection();
+        });
+      },
+      onError: (err) => {
+        setRemoteError(err?.message || "Unable to start remote session");
+        stopRemoteHost("error");
+      },
     });
-  }, [remoteSessionId, handleRemoteCommand, sendStateToConnection, stopRemoteHost]);
+  }, [remoteSessionId, remoteConnection, syncRemoteClients, stopRemoteHost]);
 
   useEffect(() => {
     return () => {
@@ -319,7 +892,31 @@ function App() {
 
   useEffect(() => {
     broadcastRemoteState();
-  }, [broadcastRemoteState, selectedChannel, playerState]);
+  }, [broadcastRemoteState, remotePlayerKey]);
+
+  useEffect(() => {
+    if (!isBehindLive) return;
+    const id = setInterval(broadcastRemoteState, REMOTE_LIVE_STATE_INTERVAL);
+    return () => clearInterval(id);
+  }, [isBehindLive, broadcastRemoteState]);
+
+  // Ping every remote and drop the ones that stopped answering, so the
+  // device list only shows live connections.
+  const remoteHostRunning = remoteHostStatus === "ready" || remoteHostStatus === "reconnecting";
+  useEffect(() => {
+    if (!remoteHostRunning) return;
+    const id = setInterval(() => {
+      const now = Date.now();
+      const stale = remoteConnectionsRef.current.filter((client) => now - client.lastSeen > HEARTBEAT_TIMEOUT);
+      if (stale.length) {
+        remoteConnectionsRef.current = remoteConnectionsRef.current.filter((client) => !stale.includes(client));
+        stale.forEach((client) => client.conn.close());
+        syncRemoteClients();
+      }
+      remoteConnectionsRef.current.forEach((client) => sendToRemote(client, "ping", { sentAt: now }));
+    }, HEARTBEAT_INTERVAL);
+    return () => clearInterval(id);
+  }, [remoteHostRunning, syncRemoteClients]);
 
   useEffect(() => {
     if (showRemote && remoteHostStatus === "inactive") {
@@ -329,18 +926,32 @@ function App() {
 
   const remoteShareLink = useMemo(() => {
     if (typeof window === "undefined") return "";
-    return remoteSessionId
+    const link = remoteSessionId
       ? `${window.location.origin}/remote/${remoteSessionId}`
       : `${window.location.origin}/remote`;
-  }, [remoteSessionId]);
+    const connection = encodeRemoteConnection(remoteConnection);
+    return connection ? `${link}?${new URLSearchParams({ connection })}` : link;
+  }, [remoteSessionId, remoteConnection]);
+
+  // Stopping is enough: the open remote panel starts the host again with
+  // the new settings.
+  const changeRemoteConnection = (settings) => {
+    setRemoteConnection(settings);
+    stopRemoteHost("inactive");
+  };
+
+  const pairedRemoteCount = remoteClients.filter((client) => client.status === "approved").length;
+  const pendingRemotes = remoteClients.filter((client) => client.status === "pending");
 
   const remoteHostStatusMessage = useMemo(() => {
     switch (remoteHostStatus) {
       case "connecting":
         return "Starting remote session...";
+      case "reconnecting":
+        return "Lost the signaling server, reconnecting...";
       case "ready":
-        return remoteConnectedClients > 0
-          ? `${remoteConnectedClients} remote device${remoteConnectedClients > 1 ? "s" : ""} connected`
+        return pairedRemoteCount > 0
+          ? `${pairedRemoteCount} remote device${pairedRemoteCount > 1 ? "s" : ""} connected`
           : "Waiting for remote device...";
       case "error":
         return remoteError || "Remote session error";
@@ -348,7 +959,7 @@ function App() {
       default:
         return "Remote session disabled";
     }
-  }, [remoteHostStatus, remoteConnectedClients, remoteError]);
+  }, [remoteHostStatus, pairedRemoteCount, remoteError]);
 
   return (
     <div className="h-screen w-screen bg-gradient-to-br from-gray-900 via-gray-900 to-gray-800 text-white overflow-hidden">
@@ -369,38 +980,96 @@ function App() {
               </div>
             </div>
             <div className="flex flex-col gap-2">
-              <button
-                onClick={handleRefresh}
-                disabled={loading}
-                className="w-full px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-              >
-                {loading ? (
-                  <>
-                    <svg className="animate-spin h-4 w-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Loading...
-                  </>
-                ) : (
-                  <>
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                    </svg>
-                    Refresh
-                  </>
-                )}
-              </button>
-              <button
-                onClick={() => setShowRemote(true)}
-                disabled={!selectedChannel}
-                className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 4h8l2 4h-4l3 8H7l3-8H6l2-4z" />
-                </svg>
-                Remote
-              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={refreshAll}
+                  disabled={loading}
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {loading ? (
+                    <>
+                      <svg className="animate-spin h-4 w-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Loading...
+                    </>
+                  ) : (
+                    <>
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      </svg>
+                      Refresh
+                    </>
+                  )}
+                </button>
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="px-3 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center"
+                  title="Import playlist"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12m0-12l-4 4m4-4l4 4" />
+                  </svg>
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={() => setShowRemote(true)}
+                  disabled={!selectedChannel}
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 4h8l2 4h-4l3 8H7l3-8H6l2-4z" />
+                  </svg>
+                  Remote
+                </button>
+                <button
+                  onClick={() => setShowPlaylistManager(true)}
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h10M4 18h7m9-4v6m-3-3h6" />
+                  </svg>
+                  Playlists
+                </button>
+                <Link
+                  to="/guide"
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                  </svg>
+                  Guide
+                </Link>
+                <Link
+                  to="/recordings"
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 21a9 9 0 100-18 9 9 0 000 18zm0-5a4 4 0 100-8 4 4 0 000 8z" />
+                  </svg>
+                  Recordings
+                </Link>
+                <button
+                  onClick={openMultiView}
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 5h7v6H4V5zm9 0h7v6h-7V5zM4 13h7v6H4v-6zm9 0h7v6h-7v-6z" />
+                  </svg>
+                  Multi-view
+                </button>
+                <button
+                  onClick={() => setShowListsManager(true)}
+                  className="w-full px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium text-white transition-all duration-200 shadow-lg hover:shadow-xl border border-gray-700/70 flex items-center justify-center gap-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                  </svg>
+                  Lists
+                </button>
+              </div>
             </div>
           </div>
 
@@ -422,19 +1091,36 @@ function App() {
 
           {/* Category */}
           <div className="px-4 pb-4 border-b border-gray-700/50">
-            <select
+            <CategorySelect
               value={selectedCategory}
-              onChange={(e) => setSelectedCategory(e.target.value)}
+              onChange={setSelectedCategory}
+              categories={categories}
+              sourceCategories={sourceCategories}
+              listCategories={listCategories}
               className="w-full px-4 py-3 text-sm rounded-xl bg-gray-700/50 backdrop-blur-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:bg-gray-700/70 transition-all duration-200 border border-gray-600/50 cursor-pointer"
-            >
-              {categories?.map((cat, idx) => (
-                <option key={idx} value={cat}>
-                  {cat}
-                </option>
-              ))}
-            </select>
+            />
           </div>
 
+          {/* Stream health */}
+          <StreamHealthBar
+            health={streamHealth}
+            deadCount={deadChannelCount}
+            hideDead={hideDeadChannels}
+            onToggleHideDead={setHideDeadChannels}
+            className="px-4 py-2.5 border-b border-gray-700/50"
+          />
+
+          {/* Recent */}
+          <RecentChannels
+            history={watchHistory.history}
+            channels={channels}
+            onSelect={handleSelectChannel}
+            onClear={watchHistory.clearHistory}
+            onExport={watchHistory.exportHistory}
+            resumeLastChannel={resumeLastChannel}
+            onToggleResume={watchHistory.setResumeLastChannel}
+          />
+
           {/* Channel List */}
           <div className="flex-1 overflow-y-auto scrollbar-thin scrollbar-thumb-gray-600 scrollbar-track-gray-800">
             {loading ? (
@@ -461,6 +1147,11 @@ function App() {
                     channel={ch}
                     isSelected={selectedChannel?.url === ch.url}
                     onSelect={handleSelectChannel}
+                    programme={nowPlaying.get(ch.url)?.programme}
+                    progress={nowPlaying.get(ch.url)?.progress ?? null}
+                    isFavorite={isFavorite(ch)}
+                    onToggleFavorite={toggleFavorite}
+                    health={getHealth(ch)}
                     idleClass="hover:bg-gray-700/50 border border-transparent hover:border-gray-600/50"
                   />
                 ))}
@@ -484,22 +1175,72 @@ function App() {
                   }}
                 />
               )}
-              <div>
+              {selectedChannel && (
+                <ChannelNumberInput
+                  number={selectedChannel.number}
+                  onChange={(number) => setChannelNumber(selectedChannel, number)}
+                />
+              )}
+              <div className="min-w-0">
                 <h1 className="text-xl font-bold truncate bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent">
                   {selectedChannel?.name || "Select a channel"}
                 </h1>
                 {selectedChannel?.group && (
                   <p className="text-sm text-gray-400 mt-0.5">{selectedChannel.group}</p>
                 )}
+                {activeCatchup ? (
+                  <p className="text-sm text-yellow-300 mt-0.5 truncate">
+                    Catch-up · {formatProgrammeTime(activeCatchup.programme.start)} · {activeCatchup.programme.title}
+                  </p>
+                ) : (
+                  selectedNowNext.now && (
+                    <p className="text-sm text-blue-300 mt-0.5 truncate">
+                      {formatProgrammeTime(selectedNowNext.now.start)} · {selectedNowNext.now.title}
+                    </p>
+                  )
+                )}
               </div>
             </div>
           </div>
           <div className="flex-1 flex items-center justify-center bg-black/50">
-            {selectedChannel ? (
+            {multiView && isDesktop ? (
+              <MultiView
+                layout={multiView.layout}
+                tiles={multiViewTiles}
+                tileSources={tileSources}
+                focused={multiView.focused}
+                channels={channels}
+                onFocus={focusTile}
+                onSelectChannel={setTileChannel}
+                onLayoutChange={setMultiViewLayout}
+                onExit={() => setMultiView(null)}
+                playerRef={playerRef}
+                focusedPlayerProps={{
+                  catchup: activeCatchup?.programme,
+                  onExitCatchup: () => setCatchup(null),
+                  channelNumber: selectedChannel?.number,
+                  onTuneNumber: tuneToNumber,
+                  nowNext: selectedNowNext,
+                  onNext: handleNextChannel,
+                  onPrev: handlePrevChannel,
+                  hasNext: hasNextChannel(),
+                  hasPrev: hasPrevChannel(),
+                  onPlayerStateChange: setPlayerState,
+                }}
+              />
+            ) : selectedChannel && isDesktop ? (
               <Player
                 ref={playerRef}
                 src={selectedChannel?.url}
+                sources={playerSources}
+                catchup={activeCatchup?.programme}
+                onExitCatchup={() => setCatchup(null)}
                 channelName={selectedChannel?.name}
+                channelNumber={selectedChannel?.number}
+                onTuneNumber={tuneToNumber}
+                nowNext={selectedNowNext}
+                isFavorite={isFavorite(selectedChannel)}
+                onToggleFavorite={() => toggleFavorite(selectedChannel)}
                 onNext={handleNextChannel}
                 onPrev={handlePrevChannel}
                 hasNext={hasNextChannel()}
@@ -523,19 +1264,7 @@ function App() {
 
       {/* Mobile layout */}
       <div className="md:hidden h-full">
-        {showPlayerOnMobile ? (
-          <Player
-            ref={playerRef}
-            src={selectedChannel?.url}
-            channelName={selectedChannel?.name}
-            onBack={() => { setShowPlayerOnMobile(false); }}
-            onNext={handleNextChannel}
-            onPrev={handlePrevChannel}
-            hasNext={hasNextChannel()}
-            hasPrev={hasPrevChannel()}
-            onPlayerStateChange={setPlayerState}
-          />
-        ) : (
+        {!showPlayerOnMobile && (
           <div className="flex flex-col h-full bg-gradient-to-br from-gray-900 via-gray-900 to-gray-800">
             {/* Mobile Header */}
             <div className="p-4 border-b border-gray-700/50 bg-gradient-to-r from-blue-600/20 to-purple-600/20 backdrop-blur-sm">
@@ -548,9 +1277,9 @@ function App() {
                     IPTV Player
                   </span>
                 </div>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap justify-end gap-2">
                   <button
-                    onClick={handleRefresh}
+                    onClick={refreshAll}
                     disabled={loading}
                     className="px-3 py-1.5 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5"
                   >
@@ -565,6 +1294,15 @@ function App() {
                       </svg>
                     )}
                   </button>
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="px-3 py-1.5 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md border border-gray-700/70 flex items-center gap-1.5"
+                    title="Import playlist"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12m0-12l-4 4m4-4l4 4" />
+                    </svg>
+                  </button>
                   <button
                     onClick={() => setShowRemote(true)}
                     disabled={!selectedChannel}
@@ -575,6 +1313,42 @@ function App() {
                     </svg>
                     Remote
                   </button>
+                  <button
+                    onClick={() => setShowPlaylistManager(true)}
+                    className="px-3 py-1.5 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md border border-gray-700/70 flex items-center gap-1.5"
+                    title="Playlists"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h10M4 18h7m9-4v6m-3-3h6" />
+                    </svg>
+                  </button>
+                  <Link
+                    to="/guide"
+                    className="px-3 py-1.5 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md border border-gray-700/70 flex items-center gap-1.5"
+                    title="Guide"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                    </svg>
+                  </Link>
+                  <Link
+                    to="/recordings"
+                    className="px-3 py-1.5 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md border border-gray-700/70 flex items-center gap-1.5"
+                    title="Recordings"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 21a9 9 0 100-18 9 9 0 000 18zm0-5a4 4 0 100-8 4 4 0 000 8z" />
+                    </svg>
+                  </Link>
+                  <button
+                    onClick={() => setShowListsManager(true)}
+                    className="px-3 py-1.5 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-xs font-medium text-white transition-all duration-200 shadow-md border border-gray-700/70 flex items-center gap-1.5"
+                    title="Lists"
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                    </svg>
+                  </button>
                 </div>
               </div>
             </div>
@@ -597,19 +1371,36 @@ function App() {
 
             {/* Mobile Category */}
             <div className="px-3 pb-3 border-b border-gray-700/50 bg-gray-800/50">
-              <select
+              <CategorySelect
                 value={selectedCategory}
-                onChange={(e) => setSelectedCategory(e.target.value)}
+                onChange={setSelectedCategory}
+                categories={categories}
+                sourceCategories={sourceCategories}
+                listCategories={listCategories}
                 className="w-full px-3 py-2.5 text-sm rounded-xl bg-gray-700/50 backdrop-blur-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:bg-gray-700/70 transition-all duration-200 border border-gray-600/50 cursor-pointer"
-              >
-                {categories?.map((cat, idx) => (
-                  <option key={idx} value={cat}>
-                    {cat}
-                  </option>
-                ))}
-              </select>
+              />
             </div>
 
+            {/* Mobile Stream health */}
+            <StreamHealthBar
+              health={streamHealth}
+              deadCount={deadChannelCount}
+              hideDead={hideDeadChannels}
+              onToggleHideDead={setHideDeadChannels}
+              className="px-3 py-2 border-b border-gray-700/50 bg-gray-800/50"
+            />
+
+            {/* Recent */}
+            <RecentChannels
+              history={watchHistory.history}
+              channels={channels}
+              onSelect={handleSelectChannel}
+              onClear={watchHistory.clearHistory}
+              onExport={watchHistory.exportHistory}
+              resumeLastChannel={resumeLastChannel}
+              onToggleResume={watchHistory.setResumeLastChannel}
+            />
+
             {/* Mobile Channel List */}
             <div className="flex-1 overflow-y-auto">
               {loading ? (
@@ -636,6 +1427,11 @@ function App() {
                       channel={ch}
                       isSelected={selectedChannel?.url === ch.url}
                       onSelect={handleSelectChannel}
+                      programme={nowPlaying.get(ch.url)?.programme}
+                      progress={nowPlaying.get(ch.url)?.progress ?? null}
+                      isFavorite={isFavorite(ch)}
+                      onToggleFavorite={toggleFavorite}
+                      health={getHealth(ch)}
                       idleClass="hover:bg-gray-700/50 border border-transparent active:bg-gray-700/70"
                     />
                   ))}
@@ -644,7 +1440,71 @@ function App() {
             </div>
           </div>
         )}
+        {/* Kept in the same place in the tree so switching between full
+            screen and the mini player does not restart the stream. */}
+        {!isDesktop && (showPlayerOnMobile || (selectedChannel && !miniPlayerClosed)) && (
+          <MiniPlayerFrame
+            mini={!showPlayerOnMobile}
+            isPlaying={playerState.isPlaying}
+            onTogglePlay={remotePlayPause}
+            onExpand={() => setShowPlayerOnMobile(true)}
+            onClose={() => setMiniPlayerClosed(true)}
+          >
+            <Player
+              ref={playerRef}
+              src={selectedChannel?.url}
+              sources={playerSources}
+              catchup={activeCatchup?.programme}
+              onExitCatchup={() => setCatchup(null)}
+              mini={!showPlayerOnMobile}
+              channelName={selectedChannel?.name}
+              channelNumber={selectedChannel?.number}
+              onTuneNumber={tuneToNumber}
+              nowNext={selectedNowNext}
+              isFavorite={isFavorite(selectedChannel)}
+              onToggleFavorite={() => toggleFavorite(selectedChannel)}
+              onBack={() => { setShowPlayerOnMobile(false); }}
+              onNext={handleNextChannel}
+              onPrev={handlePrevChannel}
+              hasNext={hasNextChannel()}
+              hasPrev={hasPrevChannel()}
+              onPlayerStateChange={setPlayerState}
+            />
+          </MiniPlayerFrame>
+        )}
       </div>
+      <PlaylistManager
+        visible={showPlaylistManager}
+        onClose={() => setShowPlaylistManager(false)}
+        sources={sources}
+        loading={loading}
+        onAdd={addSource}
+        onRemove={removeSource}
+        onToggle={toggleSource}
+        onMove={moveSource}
+        onRefreshSource={refreshSource}
+        onRefreshAll={refreshAll}
+        epg={epg}
+        proxySettings={proxySettings}
+        onProxySettingsChange={setProxySettings}
+      />
+      <ChannelListsManager
+        visible={showListsManager}
+        onClose={() => setShowListsManager(false)}
+        lists={lists}
+        channels={channels}
+        selectedChannel={selectedChannel}
+        onCreate={channelLists.createList}
+        onDelete={channelLists.deleteList}
+        onAdd={channelLists.addToList}
+        onMoveItem={channelLists.moveListItem}
+        onRemoveItem={channelLists.removeListItem}
+      />
+      <PlaylistImport
+        visible={showImport}
+        onClose={() => setShowImport(false)}
+        onImport={importPlaylist}
+      />
       {selectedChannel && (
         <RemoteControl
           visible={showRemote}
@@ -661,11 +1521,28 @@ function App() {
           onVolumeUp={remoteVolumeUp}
           onVolumeDown={remoteVolumeDown}
           onVolumeChange={remoteVolumeChange}
+          onSeekBy={remoteSeekBy}
+          onGoLive={remoteGoLive}
+          onSelectQuality={remoteSetQuality}
+          onSelectAudioTrack={remoteSetAudioTrack}
+          onSelectSubtitleTrack={remoteSetSubtitleTrack}
+          onTuneNumber={tuneToNumber}
+          multiView={remoteMultiView}
+          onFocusTile={focusTile}
           headerContent={
             <RemoteSessionCard
               status={remoteHostStatus}
               sessionId={remoteSessionId}
-              connected={remoteConnectedClients}
+              clients={remoteClients}
+              trustedDevices={trustedRemotes}
+              onApprove={approveRemote}
+              onReject={rejectRemote}
+              onKick={kickRemote}
+              onSetPermission={setRemotePermission}
+              onRename={renameRemote}
+              onForget={forgetRemote}
+              connection={remoteConnection}
+              onConnectionChange={changeRemoteConnection}
               shareLink={remoteShareLink}
               onStart={startRemoteHost}
               onStop={() => stopRemoteHost("inactive")}
@@ -675,18 +1552,39 @@ function App() {
           connectionStatus={remoteHostStatusMessage}
         />
       )}
+      {pendingRemotes.length > 0 && (
+        <RemotePairingPrompt pending={pendingRemotes} onApprove={approveRemote} onReject={rejectRemote} />
+      )}
     </div>
   );
 }
 
 export default App;
 
-const RemoteSessionCard = ({ status, sessionId, connected, shareLink, onStart, onStop, error }) => {
+const RemoteSessionCard = ({
+  status,
+  sessionId,
+  clients,
+  trustedDevices,
+  onApprove,
+  onReject,
+  onKick,
+  onSetPermission,
+  onRename,
+  onForget,
+  connection,
+  onConnectionChange,
+  shareLink,
+  onStart,
+  onStop,
+  error,
+}) => {
   const [copied, setCopied] = useState(false);
 
   const statusStyles = {
     inactive: "bg-gray-700/60 text-gray-200",
     connecting: "bg-yellow-600/30 text-yellow-300",
+    reconnecting: "bg-yellow-600/30 text-yellow-300",
     ready: "bg-green-600/30 text-green-200",
     error: "bg-red-600/30 text-red-200",
   };
@@ -694,6 +1592,7 @@ const RemoteSessionCard = ({ status, sessionId, connected, shareLink, onStart, o
   const statusLabels = {
     inactive: "Not Started",
     connecting: "Starting",
+    reconnecting: "Reconnecting",
     ready: "Live",
     error: "Error",
   };
@@ -710,7 +1609,7 @@ const RemoteSessionCard = ({ status, sessionId, connected, shareLink, onStart, o
   };
 
   const canStart = status === "inactive" || status === "error";
-  const canStop = status === "ready" || status === "connecting";
+  const canStop = status === "ready" || status === "connecting" || status === "reconnecting";
 
   return (
     <div className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3">
@@ -737,10 +1636,94 @@ const RemoteSessionCard = ({ status, sessionId, connected, shareLink, onStart, o
           <p className="text-xs text-gray-400 text-center">Scan this QR code from another device to open the remote.</p>
         </div>
       )}
-      <div className="flex items-center justify-between text-xs text-gray-400">
-        <span>Connected devices</span>
-        <span className="text-white font-semibold">{connected}</span>
+      <div className="space-y-2">
+        <p className="text-xs text-gray-400">Connected devices</p>
+        {clients.length === 0 && <p className="text-xs text-gray-500">None</p>}
+        {clients.map((client) => (
+          <div key={client.id} className="flex items-center gap-2 bg-black/40 border border-white/5 rounded-xl px-3 py-2 text-xs">
+            <div className="flex-1 min-w-0">
+              <p className="text-white font-medium truncate">{client.name}</p>
+              <p className="text-gray-400">
+                {client.status === "approved"
+                  ? PERMISSION_LABELS[client.permission]
+                  : client.status === "pending"
+                    ? `Waiting for PIN ${client.pin}`
+                    : "Connecting..."}
+              </p>
+            </div>
+            {client.status === "pending" && (
+              <>
+                <button
+                  onClick={() => onApprove(client.id, REMOTE_PERMISSIONS.FULL)}
+                  className="px-2 py-1 rounded-lg bg-blue-600/80 hover:bg-blue-500 text-white"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => onReject(client.id)}
+                  className="px-2 py-1 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-200"
+                >
+                  Reject
+                </button>
+              </>
+            )}
+            {client.status === "approved" && (
+              <button
+                onClick={() => onKick(client.id)}
+                className="px-2 py-1 rounded-lg bg-red-600/30 hover:bg-red-600/50 text-red-200"
+              >
+                Kick
+              </button>
+            )}
+          </div>
+        ))}
       </div>
+      {trustedDevices.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-400">Paired devices</p>
+          {trustedDevices.map((device) => (
+            <div key={device.key} className="flex items-center gap-2 text-xs">
+              <span
+                className={`w-2 h-2 rounded-full shrink-0 ${
+                  clients.some((client) => client.deviceKey === device.key && client.status === "approved")
+                    ? "bg-green-400"
+                    : "bg-gray-600"
+                }`}
+              />
+              <input
+                defaultValue={device.name}
+                onBlur={(e) => {
+                  const name = e.target.value.trim();
+                  if (name && name !== device.name) onRename(device.key, name);
+                  else e.target.value = device.name;
+                }}
+                maxLength={40}
+                className="flex-1 min-w-0 px-2 py-1 rounded-lg bg-black/40 border border-white/10 text-white focus:outline-none focus:ring-1 focus:ring-blue-500/60"
+                aria-label="Device name"
+              />
+              <select
+                value={device.permission}
+                onChange={(e) => onSetPermission(device.key, e.target.value)}
+                className="px-2 py-1 rounded-lg bg-black/40 border border-white/10 text-white focus:outline-none"
+              >
+                {Object.values(REMOTE_PERMISSIONS).map((permission) => (
+                  <option key={permission} value={permission}>
+                    {PERMISSION_LABELS[permission]}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => onForget(device.key)}
+                className="px-2 py-1 rounded-lg text-gray-400 hover:text-red-300"
+                title="Forget this device"
+              >
+                Forget
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <RemoteConnectionSettings settings={connection} onChange={onConnectionChange} />
       {error && <p className="text-xs text-red-400">{error}</p>}
       <div className="flex flex-wrap gap-2">
         {canStart && (
@@ -771,7 +1754,250 @@ const RemoteSessionCard = ({ status, sessionId, connected, shareLink, onStart, o
   );
 };
 
-const ChannelCard = memo(({ channel, isSelected, onSelect, idleClass }) => {
+// Shown over everything so a pairing request is seen even with the remote
+// panel closed.
+const RemotePairingPrompt = ({ pending, onApprove, onReject }) => (
+  <div className="fixed bottom-4 right-4 z-[60] w-80 space-y-2">
+    {pending.map((client) => (
+      <div
+        key={client.id}
+        className="bg-gray-900/95 border border-blue-500/40 rounded-2xl p-4 shadow-2xl shadow-black/70 backdrop-blur space-y-3"
+      >
+        <div>
+          <p className="text-sm font-semibold text-white">{client.name} wants to pair</p>
+          <p className="text-xs text-gray-400 mt-1">Enter this PIN on the remote, or approve it here.</p>
+        </div>
+        <p className="text-3xl font-mono font-bold tracking-[0.3em] text-center text-white">{client.pin}</p>
+        <div className="flex gap-2 text-xs font-semibold">
+          <button
+            onClick={() => onApprove(client.id, REMOTE_PERMISSIONS.FULL)}
+            className="flex-1 px-2 py-2 rounded-xl bg-blue-600 hover:bg-blue-500 text-white"
+          >
+            Full control
+          </button>
+          <button
+            onClick={() => onApprove(client.id, REMOTE_PERMISSIONS.VIEW)}
+            className="flex-1 px-2 py-2 rounded-xl bg-gray-800 hover:bg-gray-700 text-gray-200"
+          >
+            View only
+          </button>
+          <button
+            onClick={() => onReject(client.id)}
+            className="px-3 py-2 rounded-xl bg-red-600/30 hover:bg-red-600/50 text-red-200"
+          >
+            Reject
+          </button>
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+const ChannelNumberInput = ({ number, onChange }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft == null) return;
+    const value = parseInt(draft, 10);
+    if (value !== number) onChange(Number.isNaN(value) ? null : value);
+    setDraft(null);
+  };
+
+  if (draft == null) {
+    return (
+      <button
+        onClick={() => setDraft(String(number ?? ""))}
+        className="px-2 py-1 rounded-md bg-gray-700/60 border border-gray-600/50 text-xs font-mono text-gray-200 hover:bg-gray-600/60"
+        title="Change channel number (leave empty to reset)"
+      >
+        CH {number}
+      </button>
+    );
+  }
+
+  return (
+    <input
+      autoFocus
+      type="number"
+      min="1"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+        if (e.key === "Escape") setDraft(null);
+      }}
+      className="w-16 px-2 py-1 rounded-md bg-gray-900 border border-blue-500/60 text-xs font-mono text-white focus:outline-none"
+    />
+  );
+};
+
+const CategorySelect = ({ value, onChange, categories, sourceCategories, listCategories, className }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={className}>
+    {categories?.map((cat, idx) => (
+      <option key={idx} value={cat}>
+        {cat}
+      </option>
+    ))}
+    {listCategories.length > 0 && (
+      <optgroup label="My lists">
+        {listCategories.map((list) => (
+          <option key={list.value} value={list.value}>
+            {list.label}
+          </option>
+        ))}
+      </optgroup>
+    )}
+    {sourceCategories.length > 0 && (
+      <optgroup label="Playlists">
+        {sourceCategories.map((src) => (
+          <option key={src.value} value={src.value}>
+            {src.label}
+          </option>
+        ))}
+      </optgroup>
+    )}
+  </select>
+);
+
+const StreamHealthBar = ({ health, deadCount, hideDead, onToggleHideDead, className }) => (
+  <div className={`flex items-center gap-3 text-xs text-gray-400 ${className}`}>
+    <label className="flex items-center gap-2 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={hideDead}
+        onChange={(e) => onToggleHideDead(e.target.checked)}
+        className="accent-blue-500"
+      />
+      Hide dead{deadCount > 0 && ` (${deadCount})`}
+    </label>
+    <span className="flex-1 text-right truncate">
+      {health.checking && `Checking ${health.progress.done}/${health.progress.total}`}
+    </span>
+    <button
+      onClick={() => health.recheck()}
+      className="px-2.5 py-1 rounded-lg bg-gray-800 border border-gray-700/70 text-gray-300 hover:text-white hover:bg-gray-700 transition-colors"
+      title="Probe every channel again"
+    >
+      Re-check
+    </button>
+  </div>
+);
+
+const MINI_PLAYER_MARGIN = 12;
+const MINI_PLAYER_DRAG_THRESHOLD = 6;
+
+// Wraps the mobile Player. In mini mode it floats over the channel list and
+// can be dragged around; a tap expands it back to full screen.
+const MiniPlayerFrame = ({ mini, isPlaying, onTogglePlay, onExpand, onClose, children }) => {
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [position, setPosition] = useState(null);
+
+  const handlePointerDown = (e) => {
+    if (e.target.closest("button")) return;
+    const rect = frameRef.current.getBoundingClientRect();
+    dragRef.current = {
+      offsetX: e.clientX - rect.left,
+      offsetY: e.clientY - rect.top,
+      startX: e.clientX,
+      startY: e.clientY,
+      moved: false,
+    };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > MINI_PLAYER_DRAG_THRESHOLD) drag.moved = true;
+    if (!drag.moved) return;
+    const frame = frameRef.current;
+    setPosition({
+      x: Math.min(
+        Math.max(MINI_PLAYER_MARGIN, e.clientX - drag.offsetX),
+        window.innerWidth - frame.offsetWidth - MINI_PLAYER_MARGIN
+      ),
+      y: Math.min(
+        Math.max(MINI_PLAYER_MARGIN, e.clientY - drag.offsetY),
+        window.innerHeight - frame.offsetHeight - MINI_PLAYER_MARGIN
+      ),
+    });
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && !drag.moved) onExpand();
+  };
+
+  return (
+    <div
+      ref={frameRef}
+      className={
+        mini
+          ? "fixed z-40 w-60 aspect-video rounded-xl overflow-hidden shadow-2xl shadow-black/60 border border-white/10"
+          : "h-full"
+      }
+      style={
+        mini
+          ? position
+            ? { left: position.x, top: position.y }
+            : { right: MINI_PLAYER_MARGIN, bottom: MINI_PLAYER_MARGIN }
+          : undefined
+      }
+    >
+      {children}
+      {mini && (
+        <div
+          className="absolute inset-0 z-50 touch-none cursor-grab flex items-start justify-end gap-1 p-1.5 bg-gradient-to-b from-black/60 via-transparent to-transparent"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => {
+            dragRef.current = null;
+          }}
+        >
+          <button
+            onClick={onTogglePlay}
+            className="w-7 h-7 rounded-full bg-black/60 hover:bg-black/80 flex items-center justify-center text-white"
+            title={isPlaying ? "Pause" : "Play"}
+          >
+            {isPlaying ? (
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" />
+              </svg>
+            ) : (
+              <svg className="w-3.5 h-3.5 ml-0.5" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M8 5v14l11-7z" />
+              </svg>
+            )}
+          </button>
+          <button
+            onClick={onExpand}
+            className="w-7 h-7 rounded-full bg-black/60 hover:bg-black/80 flex items-center justify-center text-white"
+            title="Expand"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4" />
+            </svg>
+          </button>
+          <button
+            onClick={onClose}
+            className="w-7 h-7 rounded-full bg-black/60 hover:bg-black/80 flex items-center justify-center text-white"
+            title="Close"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l12 12M6 18L18 6" />
+            </svg>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChannelCard = memo(({ channel, isSelected, onSelect, programme, progress, isFavorite, onToggleFavorite, health, idleClass }) => {
   return (
     <div
       onClick={() => onSelect(channel)}
@@ -810,12 +2036,45 @@ const ChannelCard = memo(({ channel, isSelected, onSelect, idleClass }) => {
       )}
       <div className="flex flex-col flex-1 min-w-0">
         <span className="text-sm font-semibold truncate text-white group-hover:text-blue-300 transition-colors duration-200">
+          {health && (
+            <span
+              className={`inline-block w-2 h-2 mr-1.5 mb-0.5 rounded-full ${HEALTH_DOT_CLASSES[health.status]}`}
+              title={describeHealth(health)}
+            />
+          )}
+          {channel.number != null && (
+            <span className="mr-1.5 text-xs font-mono text-gray-400">{channel.number}</span>
+          )}
           {channel.name}
         </span>
         {channel.group && (
           <span className="text-xs text-gray-400 truncate mt-0.5">{channel.group}</span>
         )}
+        {programme && (
+          <>
+            <span className="text-xs text-blue-300/90 truncate mt-0.5">{programme.title}</span>
+            {progress != null && (
+              <div className="h-1 mt-1 rounded-full bg-gray-700/80 overflow-hidden">
+                <div className="h-full bg-gradient-to-r from-blue-500 to-purple-500" style={{ width: `${progress}%` }} />
+              </div>
+            )}
+          </>
+        )}
       </div>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggleFavorite(channel);
+        }}
+        className={`flex-shrink-0 transition-colors duration-200 ${
+          isFavorite ? "text-yellow-400" : "text-gray-600 hover:text-yellow-300 md:opacity-0 md:group-hover:opacity-100 md:focus-visible:opacity-100"
+        }`}
+        title={isFavorite ? "Remove from favorites" : "Add to favorites"}
+      >
+        <svg className="w-5 h-5" fill={isFavorite ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+        </svg>
+      </button>
       {isSelected && (
         <svg className="w-5 h-5 text-blue-400 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
           <path
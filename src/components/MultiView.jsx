@@ -0,0 +1,124 @@
+import React, { useRef } from "react";
+import Player from "./Player";
+
+const MULTI_VIEW_LAYOUTS = [2, 4];
+
+const MultiViewTile = ({ index, channel, channels, sources, focused, onFocus, onSelectChannel, playerProps }) => {
+  const tileRef = useRef(null);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else tileRef.current?.requestFullscreen();
+  };
+
+  return (
+    <div
+      ref={tileRef}
+      onClickCapture={() => onFocus(index)}
+      className={`relative min-h-0 flex flex-col bg-black rounded-xl overflow-hidden border-2 transition-colors ${
+        focused ? "border-blue-500" : "border-gray-800 hover:border-gray-600"
+      }`}
+    >
+      <div className="flex items-center gap-2 px-2 py-1.5 bg-gray-900/90 text-xs">
+        <span
+          className={`w-5 h-5 rounded-full flex items-center justify-center font-semibold ${
+            focused ? "bg-blue-600 text-white" : "bg-gray-700 text-gray-300"
+          }`}
+          title={focused ? "Audio is playing from this tile" : "Click to move audio here"}
+        >
+          {index + 1}
+        </span>
+        <select
+          value={channel?.url || ""}
+          onChange={(e) => onSelectChannel(index, e.target.value)}
+          className="flex-1 min-w-0 px-2 py-1 rounded-lg bg-gray-800 border border-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+        >
+          <option value="">Choose a channel</option>
+          {channels.map((ch) => (
+            <option key={ch.url} value={ch.url}>
+              {ch.number != null ? `${ch.number}. ` : ""}
+              {ch.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={toggleFullscreen}
+          disabled={!channel}
+          className="px-2 py-1 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-300 disabled:opacity-40"
+          title="Fullscreen"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4" />
+          </svg>
+        </button>
+      </div>
+      <div className="flex-1 min-h-0">
+        {channel ? (
+          <Player src={channel.url} sources={sources} channelName={channel.name} background={!focused} {...playerProps} />
+        ) : (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">Empty tile</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Grid of 2 or 4 players. Only the focused tile has audio, keyboard
+ * shortcuts and the imperative player handle; the others play muted at a
+ * lower quality. `focusedPlayerProps` are spread onto the focused Player.
+ */
+const MultiView = ({
+  layout,
+  tiles,
+  focused,
+  channels,
+  tileSources,
+  onFocus,
+  onSelectChannel,
+  onLayoutChange,
+  onExit,
+  playerRef,
+  focusedPlayerProps,
+}) => (
+  <div className="h-full w-full flex flex-col gap-2 p-2">
+    <div className="flex items-center gap-2">
+      <span className="text-sm font-semibold text-gray-300">Multi-view</span>
+      {MULTI_VIEW_LAYOUTS.map((count) => (
+        <button
+          key={count}
+          onClick={() => onLayoutChange(count)}
+          className={`px-3 py-1 rounded-lg text-xs font-medium border ${
+            layout === count ? "border-blue-500/60 text-blue-300 bg-blue-500/10" : "border-gray-700 text-gray-300 hover:bg-gray-800"
+          }`}
+        >
+          {count} tiles
+        </button>
+      ))}
+      <div className="flex-1" />
+      <button
+        onClick={onExit}
+        className="px-3 py-1 rounded-lg text-xs font-medium border border-gray-700 text-gray-300 hover:bg-gray-800"
+      >
+        Exit multi-view
+      </button>
+    </div>
+    <div className={`flex-1 min-h-0 grid gap-2 grid-cols-2 ${layout === 4 ? "grid-rows-2" : "grid-rows-1"}`}>
+      {tiles.slice(0, layout).map((channel, index) => (
+        <MultiViewTile
+          key={index}
+          index={index}
+          channel={channel}
+          channels={channels}
+          sources={tileSources[index]}
+          focused={index === focused}
+          onFocus={onFocus}
+          onSelectChannel={onSelectChannel}
+          playerProps={index === focused ? { ref: playerRef, ...focusedPlayerProps } : undefined}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+export default MultiView;
@@ -5,16 +5,110 @@ import React, {
   useCallback,
   forwardRef,
   useImperativeHandle,
+  useMemo,
+  useId,
 } from "react";
 import Hls from "hls.js";
+import { formatProgrammeTime } from "../utils/xmltv";
+import useStoredState from "../hooks/useStoredState";
+import {
+  BACKGROUND_MAX_HEIGHT,
+  BANDWIDTH_CAPS,
+  DATA_SAVER_MAX_HEIGHT,
+  DEFAULT_QUALITY_PREFS,
+  QUALITY_PREFS_STORAGE_KEY,
+  formatBitrate,
+  formatLevel,
+  getLevelCap,
+} from "../utils/quality";
+import {
+  CAPTION_BACKGROUNDS,
+  CAPTION_SIZES,
+  DEFAULT_TRACK_PREFS,
+  SUBTITLES_OFF,
+  TRACK_PREFS_STORAGE_KEY,
+  captionCss,
+  matchesLanguage,
+  trackLabel,
+} from "../utils/tracks";
+import {
+  MAX_FRAGMENT_SAMPLES,
+  MAX_RECENT_ERRORS,
+  collectPlaybackStats,
+  pushLimited,
+} from "../utils/playbackStats";
+import {
+  createMediaRecorder,
+  createSegmentRecorder,
+  downloadRecording,
+  formatBytes,
+  formatElapsed,
+} from "../utils/recorder";
+import { saveRecording } from "../utils/recordingsDb";
+import { STREAM_TYPES, detectStreamType, sniffStreamType } from "../utils/streamType";
+import { attachEngine } from "../utils/streamEngines";
+import { checkDrmSupport, drmLabel, getHlsDrmConfig } from "../utils/drm";
+import StatsOverlay from "./StatsOverlay";
+
+const MAX_TUNE_DIGITS = 4;
+const TUNE_COMMIT_DELAY = 2000;
+const SOURCE_NOTICE_DURATION = 3000;
+const STATS_REFRESH_INTERVAL = 1000;
+const RECORDING_REFRESH_INTERVAL = 1000;
+const SEEK_STEP = 10;
+// Live windows shorter than this are just the playlist's few segments, not
+// a DVR window worth scrubbing.
+const MIN_DVR_WINDOW = 30;
+const LIVE_EDGE_THRESHOLD = 3;
+const MAX_NETWORK_RETRIES = 3;
+// Without a manifest hls.js has no level to reload, so these go straight to
+// the next source.
+const MANIFEST_ERRORS = ["manifestLoadError", "manifestLoadTimeOut", "manifestParsingError"];
+
+const MenuOption = ({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    className={`w-full text-left px-2 py-1.5 rounded-lg transition-colors ${
+      active ? "text-blue-300 bg-white/5" : "hover:bg-white/10"
+    }`}
+  >
+    {children}
+  </button>
+);
+
+const OptionGroup = ({ options, value, onChange }) => (
+  <div className="flex gap-1">
+    {Object.keys(options).map((option) => (
+      <button
+        key={option}
+        onClick={() => onChange(option)}
+        className={`flex-1 px-2 py-1 rounded-lg border capitalize transition-colors ${
+          option === value ? "border-blue-400/60 text-blue-300" : "border-white/10 hover:bg-white/10"
+        }`}
+      >
+        {option}
+      </button>
+    ))}
+  </div>
+);
 
 const Player = forwardRef(
 ({
     src,
+    sources,
+    catchup,
+    onExitCatchup,
+    mini = false,
+    background = false,
     onBack,
     onNext,
     onPrev,
     channelName,
+    channelNumber,
+    onTuneNumber,
+    nowNext,
+    isFavorite,
+    onToggleFavorite,
     hasNext,
     hasPrev,
     onPlayerStateChange,
@@ -30,9 +124,267 @@ const Player = forwardRef(
   const [controlsTimeout, setControlsTimeout] = useState(null);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [isLive, setIsLive] = useState(false);
+  const [seekRange, setSeekRange] = useState({ start: 0, end: 0 });
   const [volume, setVolume] = useState(1);
   const [isMuted, setIsMuted] = useState(false);
   const [showVolumeSlider, setShowVolumeSlider] = useState(false);
+  const [tuneDigits, setTuneDigits] = useState("");
+  const [tuneMessage, setTuneMessage] = useState(null);
+  const tuneDigitsRef = useRef("");
+  const tuneTimeoutRef = useRef(null);
+  const [openMenu, setOpenMenu] = useState(null);
+  const [sourceNotice, setSourceNotice] = useState(null);
+  const tryNextSourceRef = useRef(() => false);
+  const hlsRef = useRef(null);
+  const engineRef = useRef(null);
+  const streamDrmRef = useRef(null);
+  const streamHeadersRef = useRef(null);
+  const [levels, setLevels] = useState([]);
+  const [currentLevel, setCurrentLevel] = useState(-1);
+  const [selectedLevel, setSelectedLevel] = useState(-1);
+  const [qualityPrefs, setQualityPrefs] = useStoredState(QUALITY_PREFS_STORAGE_KEY, DEFAULT_QUALITY_PREFS);
+  const [audioTracks, setAudioTracks] = useState([]);
+  const [audioTrack, setAudioTrack] = useState(-1);
+  const [subtitleTracks, setSubtitleTracks] = useState([]);
+  const [captionTracks, setCaptionTracks] = useState([]);
+  const [subtitleTrack, setSubtitleTrack] = useState(SUBTITLES_OFF);
+  const [trackPrefs, setTrackPrefs] = useStoredState(TRACK_PREFS_STORAGE_KEY, DEFAULT_TRACK_PREFS);
+  const trackPrefsRef = useRef(trackPrefs);
+  const subtitleTrackRef = useRef(SUBTITLES_OFF);
+  const manualSubtitleRef = useRef(false);
+  const [showStats, setShowStats] = useState(false);
+  const [stats, setStats] = useState(null);
+  const fragmentLoadTimesRef = useRef([]);
+  const playbackErrorsRef = useRef([]);
+  const recorderRef = useRef(null);
+  const [recording, setRecording] = useState(null);
+  const [isPictureInPicture, setIsPictureInPicture] = useState(false);
+  const captionScope = `player-${useId().replace(/:/g, "")}`;
+
+  // Alternate URLs for the same channel, tried in order when one fails.
+  const streams = useMemo(
+    () => (sources?.length ? sources : src ? [{ url: src }] : []),
+    [sources, src]
+  );
+  const streamsKey = streams.map((s) => s.url).join("\n");
+  const [sourceState, setSourceState] = useState({ key: streamsKey, index: 0 });
+  const sourceIndex = sourceState.key === streamsKey ? sourceState.index : 0;
+  const streamUrl = streams[sourceIndex]?.url;
+  // Null when the playlist gives no hint; the stream is sniffed then.
+  const declaredType = useMemo(
+    () => (streams[sourceIndex] ? detectStreamType(streams[sourceIndex].url, streams[sourceIndex]) : null),
+    [streams, sourceIndex]
+  );
+
+  const selectSource = useCallback(
+    (index) => {
+      setSourceState({ key: streamsKey, index });
+      setOpenMenu(null);
+    },
+    [streamsKey]
+  );
+
+  const tryNextSource = useCallback(() => {
+    if (sourceIndex >= streams.length - 1) return false;
+    setSourceNotice(`Source ${sourceIndex + 1} failed, trying source ${sourceIndex + 2}`);
+    setSourceState({ key: streamsKey, index: sourceIndex + 1 });
+    return true;
+  }, [sourceIndex, streams.length, streamsKey]);
+
+  useEffect(() => {
+    tryNextSourceRef.current = tryNextSource;
+  }, [tryNextSource]);
+
+  // Read when a stream starts; a refreshed playlist handing over an equal
+  // DRM object should not restart playback.
+  const streamDrm = streams[sourceIndex]?.drm || null;
+  useEffect(() => {
+    streamDrmRef.current = streamDrm;
+  }, [streamDrm]);
+  const streamHeaders = streams[sourceIndex]?.headers;
+  useEffect(() => {
+    streamHeadersRef.current = streamHeaders;
+  }, [streamHeaders]);
+
+  const selectQuality = useCallback((index) => {
+    const hls = hlsRef.current;
+    if (!hls) return;
+    hls.currentLevel = index;
+    setSelectedLevel(index);
+    setOpenMenu(null);
+  }, []);
+
+  useEffect(() => {
+    trackPrefsRef.current = trackPrefs;
+  }, [trackPrefs]);
+
+  // Subtitles from the playlist are driven through hls.js; CEA-608 captions
+  // only exist as text tracks on the video element.
+  const applySubtitle = useCallback((id) => {
+    const hls = hlsRef.current;
+    if (hls) {
+      const subtitleId = id.startsWith("sub:") ? Number(id.slice(4)) : -1;
+      hls.subtitleTrack = subtitleId;
+      hls.subtitleDisplay = subtitleId >= 0;
+    }
+    const video = videoRef.current;
+    if (video) {
+      let captionIndex = 0;
+      for (const track of video.textTracks) {
+        if (track.kind !== "captions") continue;
+        track.mode = id === `cc:${captionIndex}` ? "showing" : "disabled";
+        captionIndex += 1;
+      }
+    }
+    subtitleTrackRef.current = id;
+    setSubtitleTrack(id);
+  }, []);
+
+  const applyPreferredSubtitle = useCallback(
+    (options) => {
+      applySubtitle(subtitleTrackRef.current);
+      if (manualSubtitleRef.current || subtitleTrackRef.current !== SUBTITLES_OFF) return;
+      const preferred = options.find((track) => matchesLanguage(track, trackPrefsRef.current.subtitleLanguage));
+      if (preferred) applySubtitle(preferred.id);
+    },
+    [applySubtitle]
+  );
+
+  const selectAudioTrack = useCallback(
+    (id) => {
+      const hls = hlsRef.current;
+      const track = audioTracks.find((t) => t.id === id);
+      if (!hls || !track) return;
+      hls.audioTrack = id;
+      if (track.lang) setTrackPrefs((prev) => ({ ...prev, audioLanguage: track.lang }));
+    },
+    [audioTracks, setTrackPrefs]
+  );
+
+  const selectSubtitleTrack = useCallback(
+    (id) => {
+      const track = [...subtitleTracks, ...captionTracks].find((t) => t.id === id);
+      if (id !== SUBTITLES_OFF && !track) return;
+      manualSubtitleRef.current = true;
+      applySubtitle(id);
+      setTrackPrefs((prev) => ({
+        ...prev,
+        subtitleLanguage: id === SUBTITLES_OFF ? "" : track.lang || prev.subtitleLanguage,
+      }));
+    },
+    [subtitleTracks, captionTracks, applySubtitle, setTrackPrefs]
+  );
+
+  useEffect(() => {
+    if (!showStats) {
+      setStats(null);
+      return;
+    }
+    const refresh = () => {
+      const video = videoRef.current;
+      if (!video || !streamUrl) return;
+      setStats(
+        collectPlaybackStats({
+          video,
+          hls: hlsRef.current,
+          engine: engineRef.current?.name,
+          url: streamUrl,
+          fragmentLoadTimes: fragmentLoadTimesRef.current,
+          errors: playbackErrorsRef.current,
+        })
+      );
+    };
+    refresh();
+    const interval = setInterval(refresh, STATS_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [showStats, streamUrl]);
+
+  // Fragments are kept as downloaded when hls.js is playing; native playback
+  // falls back to MediaRecorder.
+  const startRecording = useCallback(() => {
+    const video = videoRef.current;
+    if (!video || !streamUrl || recorderRef.current) return;
+    try {
+      const hls = hlsRef.current;
+      recorderRef.current = {
+        recorder: hls ? createSegmentRecorder(hls, video) : createMediaRecorder(video),
+        startedAt: Date.now(),
+        channelName,
+        channelUrl: streamUrl,
+      };
+      setRecording({ elapsed: 0, size: 0 });
+    } catch (err) {
+      setSourceNotice(err.message);
+    }
+  }, [streamUrl, channelName]);
+
+  const stopRecording = useCallback(async () => {
+    const session = recorderRef.current;
+    if (!session) return;
+    recorderRef.current = null;
+    setRecording(null);
+    const result = await session.recorder.stop();
+    if (result.size === 0) {
+      setSourceNotice("Nothing was recorded");
+      return;
+    }
+    const saved = {
+      id: `rec-${session.startedAt.toString(36)}`,
+      channelName: session.channelName,
+      channelUrl: session.channelUrl,
+      startedAt: session.startedAt,
+      stoppedAt: Date.now(),
+      ...result,
+    };
+    downloadRecording(saved);
+    try {
+      await saveRecording(saved);
+      setSourceNotice("Recording saved");
+    } catch (err) {
+      console.error("Failed to save recording:", err);
+      setSourceNotice("Recording downloaded but could not be saved to the library");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!recording) return;
+    const interval = setInterval(() => {
+      const session = recorderRef.current;
+      if (!session) return;
+      setRecording({ elapsed: Date.now() - session.startedAt, size: session.recorder.getSize() });
+    }, RECORDING_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [recording]);
+
+  // A recording belongs to one stream; switching streams or closing the
+  // player finishes it.
+  useEffect(() => () => stopRecording(), [streamUrl, stopRecording]);
+
+  // Auto quality stays within the saved bandwidth cap and data saver limits.
+  useEffect(() => {
+    if (hlsRef.current) {
+      hlsRef.current.autoLevelCapping = getLevelCap(
+        levels,
+        background ? { ...qualityPrefs, maxHeight: BACKGROUND_MAX_HEIGHT } : qualityPrefs
+      );
+    }
+  }, [levels, qualityPrefs, background]);
+
+  // Background players (unfocused multi-view tiles) stay muted; audio
+  // follows focus.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.muted = background;
+    setIsMuted(background);
+  }, [background]);
+
+  useEffect(() => {
+    if (!sourceNotice) return;
+    const timeout = setTimeout(() => setSourceNotice(null), SOURCE_NOTICE_DURATION);
+    return () => clearTimeout(timeout);
+  }, [sourceNotice]);
 
   const togglePlayPause = useCallback(() => {
     const video = videoRef.current;
@@ -87,6 +439,40 @@ const Player = forwardRef(
     [setVolumeLevel, volume]
   );
 
+  const getLiveEdge = useCallback(() => {
+    const video = videoRef.current;
+    if (!video || video.seekable.length === 0) return null;
+    return hlsRef.current?.liveSyncPosition ?? video.seekable.end(video.seekable.length - 1);
+  }, []);
+
+  const seekTo = useCallback(
+    (time) => {
+      const video = videoRef.current;
+      if (!video || video.seekable.length === 0) return;
+      const start = video.seekable.start(0);
+      const end = getLiveEdge() ?? video.seekable.end(video.seekable.length - 1);
+      video.currentTime = Math.min(end, Math.max(start, time));
+      setCurrentTime(video.currentTime);
+    },
+    [getLiveEdge]
+  );
+
+  const seekBy = useCallback(
+    (delta) => {
+      const video = videoRef.current;
+      if (video) seekTo(video.currentTime + delta);
+    },
+    [seekTo]
+  );
+
+  const goLive = useCallback(() => {
+    const video = videoRef.current;
+    const edge = getLiveEdge();
+    if (!video || edge == null) return;
+    video.currentTime = edge;
+    video.play().catch(() => setIsPlaying(false));
+  }, [getLiveEdge]);
+
   const stopPlayback = useCallback(() => {
     const video = videoRef.current;
     if (video) {
@@ -96,6 +482,65 @@ const Player = forwardRef(
     }
   }, []);
 
+  const commitTune = useCallback(() => {
+    clearTimeout(tuneTimeoutRef.current);
+    const digits = tuneDigitsRef.current;
+    tuneDigitsRef.current = "";
+    setTuneDigits("");
+    if (!digits || !onTuneNumber) return;
+    if (!onTuneNumber(parseInt(digits, 10))) {
+      setTuneMessage(`No channel ${digits}`);
+      tuneTimeoutRef.current = setTimeout(() => setTuneMessage(null), 1500);
+    }
+  }, [onTuneNumber]);
+
+  const cancelTune = useCallback(() => {
+    clearTimeout(tuneTimeoutRef.current);
+    tuneDigitsRef.current = "";
+    setTuneDigits("");
+  }, []);
+
+  // Digits collect like a TV remote and tune after a short pause.
+  const enterDigit = useCallback(
+    (digit) => {
+      if (!onTuneNumber) return;
+      clearTimeout(tuneTimeoutRef.current);
+      const digits = (tuneDigitsRef.current + digit).slice(-MAX_TUNE_DIGITS);
+      tuneDigitsRef.current = digits;
+      setTuneDigits(digits);
+      setTuneMessage(null);
+      if (digits.length === MAX_TUNE_DIGITS) {
+        commitTune();
+      } else {
+        tuneTimeoutRef.current = setTimeout(commitTune, TUNE_COMMIT_DELAY);
+      }
+    },
+    [onTuneNumber, commitTune]
+  );
+
+  useEffect(() => () => clearTimeout(tuneTimeoutRef.current), []);
+
+  // Safari on iOS only has the webkit presentation mode API.
+  const canPictureInPicture =
+    document.pictureInPictureEnabled || typeof HTMLVideoElement.prototype.webkitSetPresentationMode === "function";
+
+  const togglePictureInPicture = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video) return;
+    try {
+      if (document.pictureInPictureEnabled) {
+        if (document.pictureInPictureElement) await document.exitPictureInPicture();
+        else await video.requestPictureInPicture();
+      } else if (video.webkitSetPresentationMode) {
+        video.webkitSetPresentationMode(
+          video.webkitPresentationMode === "picture-in-picture" ? "inline" : "picture-in-picture"
+        );
+      }
+    } catch (err) {
+      setSourceNotice(`Picture-in-Picture failed: ${err.message}`);
+    }
+  }, []);
+
   useImperativeHandle(
     ref,
     () => ({
@@ -107,6 +552,12 @@ const Player = forwardRef(
       volumeUp: () => changeVolumeBy(0.1),
       volumeDown: () => changeVolumeBy(-0.1),
       toggleMute,
+      seekBy,
+      goLive,
+      setQuality: selectQuality,
+      setAudioTrack: selectAudioTrack,
+      setSubtitleTrack: selectSubtitleTrack,
+      togglePictureInPicture,
       getState: () => ({
         isPlaying,
         volume,
@@ -119,6 +570,12 @@ const Player = forwardRef(
       setVolumeLevel,
       changeVolumeBy,
       toggleMute,
+      seekBy,
+      goLive,
+      selectQuality,
+      selectAudioTrack,
+      selectSubtitleTrack,
+      togglePictureInPicture,
       isPlaying,
       volume,
       isMuted,
@@ -127,10 +584,26 @@ const Player = forwardRef(
 
   // Keyboard shortcuts
   useEffect(() => {
+    if (background) return;
     const handleKeyPress = (e) => {
       if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
-      
+
+      if (/^[0-9]$/.test(e.key)) {
+        e.preventDefault();
+        enterDigit(e.key);
+        return;
+      }
+
       switch (e.key) {
+        case "Enter":
+          if (tuneDigitsRef.current) {
+            e.preventDefault();
+            commitTune();
+          }
+          break;
+        case "Escape":
+          if (tuneDigitsRef.current) cancelTune();
+          break;
         case "ArrowRight":
           if (hasNext && onNext) {
             e.preventDefault();
@@ -163,6 +636,25 @@ const Player = forwardRef(
           e.preventDefault();
           toggleMute();
           break;
+        case "j":
+        case "J":
+          e.preventDefault();
+          seekBy(-SEEK_STEP);
+          break;
+        case "l":
+        case "L":
+          e.preventDefault();
+          seekBy(SEEK_STEP);
+          break;
+        case "i":
+        case "I":
+          setShowStats((v) => !v);
+          break;
+        case "p":
+        case "P":
+          e.preventDefault();
+          togglePictureInPicture();
+          break;
         default:
           break;
       }
@@ -170,29 +662,91 @@ const Player = forwardRef(
 
     window.addEventListener("keydown", handleKeyPress);
     return () => window.removeEventListener("keydown", handleKeyPress);
-  }, [hasNext, hasPrev, onNext, onPrev, togglePlayPause, toggleMute]);
+  }, [
+    hasNext,
+    hasPrev,
+    onNext,
+    onPrev,
+    togglePlayPause,
+    toggleMute,
+    enterDigit,
+    commitTune,
+    cancelTune,
+    seekBy,
+    togglePictureInPicture,
+    background,
+  ]);
 
   useEffect(() => {
     const video = videoRef.current;
-    if (!video || !src) return;
+    if (!video || !streamUrl) return;
 
     setIsLoading(true);
     setError(null);
+    setIsLive(false);
+    setSeekRange({ start: 0, end: 0 });
+    setLevels([]);
+    setCurrentLevel(-1);
+    setSelectedLevel(-1);
+    setAudioTracks([]);
+    setAudioTrack(-1);
+    setSubtitleTracks([]);
+    setCaptionTracks([]);
+    subtitleTrackRef.current = SUBTITLES_OFF;
+    setSubtitleTrack(SUBTITLES_OFF);
+    manualSubtitleRef.current = false;
+    fragmentLoadTimesRef.current = [];
+    playbackErrorsRef.current = [];
     let hls;
+    let engine;
+    let revokeDrm = () => {};
+    let cancelled = false;
+    const sniffController = new AbortController();
+    let subtitleOptions = [];
+    let recovered = false;
+    let networkRetries = 0;
 
-    const setupVideo = () => {
+    const fail = (message) => {
+      if (hls) {
+        hls.destroy();
+        hls = null;
+        hlsRef.current = null;
+      }
+      if (engine) {
+        engine.destroy();
+        engine = null;
+        engineRef.current = null;
+      }
+      if (tryNextSourceRef.current()) return;
+      setError(message);
+      setIsLoading(false);
+    };
+
+    const setupVideo = (drm) => {
       if (Hls.isSupported()) {
+        const drmConfig = drm ? getHlsDrmConfig(drm) : null;
+        if (drmConfig) revokeDrm = drmConfig.revoke;
         hls = new Hls({ 
           enableWorker: true,
           debug: false,
           maxBufferLength: 30,
           maxMaxBufferLength: 60,
+          ...drmConfig?.config,
         });
         
-        hls.loadSource(src);
+        hlsRef.current = hls;
+        hls.loadSource(streamUrl);
         hls.attachMedia(video);
 
-        hls.on(Hls.Events.MANIFEST_PARSED, () => {
+        hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+          setLevels(
+            data.levels.map((level, index) => ({
+              index,
+              width: level.width,
+              height: level.height,
+              bitrate: level.bitrate,
+            }))
+          );
           setIsLoading(false);
           video.play().catch(() => {
             // Autoplay blocked, user interaction required
@@ -201,25 +755,62 @@ const Player = forwardRef(
           });
         });
 
+        hls.on(Hls.Events.LEVEL_LOADED, (event, data) => {
+          setIsLive(data.details.live);
+        });
+
+        hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+          setCurrentLevel(data.level);
+        });
+
+        hls.on(Hls.Events.FRAG_LOADED, (event, data) => {
+          const { start, end } = data.frag.stats.loading;
+          networkRetries = 0;
+          if (end > start) pushLimited(fragmentLoadTimesRef.current, end - start, MAX_FRAGMENT_SAMPLES);
+        });
+
+        hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, (event, data) => {
+          const tracks = data.audioTracks.map((t) => ({ id: t.id, name: t.name, lang: t.lang }));
+          setAudioTracks(tracks);
+          const preferred = tracks.find((t) => matchesLanguage(t, trackPrefsRef.current.audioLanguage));
+          if (preferred && preferred.id !== hls.audioTrack) hls.audioTrack = preferred.id;
+        });
+
+        hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, (event, data) => {
+          setAudioTrack(data.id);
+        });
+
+        hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, (event, data) => {
+          subtitleOptions = data.subtitleTracks.map((t) => ({ id: `sub:${t.id}`, name: t.name, lang: t.lang }));
+          setSubtitleTracks(subtitleOptions);
+          applyPreferredSubtitle(subtitleOptions);
+        });
+
+        // Level and fragment network errors are retried a few times, media
+        // errors once, before moving on to the next source.
         hls.on(Hls.Events.ERROR, (event, data) => {
-          if (data.fatal) {
-            switch (data.type) {
-              case Hls.ErrorTypes.NETWORK_ERROR:
-                hls.startLoad();
-                break;
-              case Hls.ErrorTypes.MEDIA_ERROR:
-                hls.recoverMediaError();
-                break;
-              default:
-                hls.destroy();
-                setError("Failed to load video");
-                setIsLoading(false);
-                break;
-            }
+          pushLimited(
+            playbackErrorsRef.current,
+            { time: Date.now(), type: data.type, details: data.details, fatal: data.fatal },
+            MAX_RECENT_ERRORS
+          );
+          if (!data.fatal) return;
+          if (data.type === Hls.ErrorTypes.KEY_SYSTEM_ERROR) {
+            fail(`${drm ? drmLabel(drm) : "DRM"} license could not be used (${data.details})`);
+          } else if (MANIFEST_ERRORS.includes(data.details) || !hls.levels.length) {
+            fail("Failed to load video");
+          } else if (networkRetries < MAX_NETWORK_RETRIES && data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+            networkRetries += 1;
+            hls.startLoad();
+          } else if (!recovered && data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+            recovered = true;
+            hls.recoverMediaError();
+          } else {
+            fail("Failed to load video");
           }
         });
       } else if (video.canPlayType("application/vnd.apple.mpegurl")) {
-        video.src = src;
+        video.src = streamUrl;
         video.addEventListener("loadedmetadata", () => {
           setIsLoading(false);
           video.play().catch(() => {
@@ -233,7 +824,66 @@ const Player = forwardRef(
       }
     };
 
-    setupVideo();
+    const logError = (type, details) => {
+      pushLimited(
+        playbackErrorsRef.current,
+        { time: Date.now(), type, details, fatal: true },
+        MAX_RECENT_ERRORS
+      );
+    };
+
+    const setupEngine = async (type, drm) => {
+      try {
+        const attached = await attachEngine(type, video, streamUrl, {
+          drm,
+          onError: (details) => {
+            logError(type, details);
+            fail("Failed to load video");
+          },
+        });
+        if (cancelled) {
+          attached.destroy();
+          return;
+        }
+        engine = attached;
+        engineRef.current = attached;
+        video.play().catch(() => setIsPlaying(false));
+      } catch (err) {
+        if (cancelled) return;
+        logError(type, err.message);
+        fail(err.message);
+      }
+    };
+
+    const start = async () => {
+      const drm = streamDrmRef.current;
+      try {
+        if (drm) await checkDrmSupport(drm);
+      } catch (err) {
+        if (cancelled) return;
+        logError("drm", err.message);
+        fail(err.message);
+        return;
+      }
+      const type =
+        declaredType ||
+        (await sniffStreamType(streamUrl, { signal: sniffController.signal, headers: streamHeadersRef.current }));
+      if (cancelled) return;
+      if (type === STREAM_TYPES.HLS) setupVideo(drm);
+      else setupEngine(type, drm);
+    };
+
+    start();
+
+    // hls.js adds a text track per CEA-608 channel once caption data shows up.
+    const handleAddTrack = () => {
+      const captions = Array.from(video.textTracks)
+        .filter((track) => track.kind === "captions")
+        .map((track, index) => ({ id: `cc:${index}`, name: track.label || `CC${index + 1}`, lang: track.language }));
+      setCaptionTracks(captions);
+      applyPreferredSubtitle([...subtitleOptions, ...captions]);
+    };
+    video.textTracks.addEventListener("addtrack", handleAddTrack);
 
     // Video event listeners
     const handlePlay = () => setIsPlaying(true);
@@ -245,9 +895,17 @@ const Player = forwardRef(
     };
     const handleTimeUpdate = () => {
       setCurrentTime(video.currentTime || 0);
+      const { seekable } = video;
+      if (seekable.length > 0) {
+        setSeekRange({
+          start: seekable.start(0),
+          end: hlsRef.current?.liveSyncPosition ?? seekable.end(seekable.length - 1),
+        });
+      }
     };
     const handleLoadedMetadata = () => {
       setDuration(video.duration || 0);
+      if (video.duration === Infinity) setIsLive(true);
       setVolume(video.volume ?? 1);
       setIsMuted(video.muted ?? false);
     };
@@ -258,9 +916,13 @@ const Player = forwardRef(
       }
     };
     const handleError = () => {
-      setError("Failed to load video");
-      setIsLoading(false);
+      logError("media", video.error?.message || "videoElementError");
+      fail("Failed to load video");
     };
+    const handleEnterPictureInPicture = () => setIsPictureInPicture(true);
+    const handleLeavePictureInPicture = () => setIsPictureInPicture(false);
+    const handlePresentationModeChange = () =>
+      setIsPictureInPicture(video.webkitPresentationMode === "picture-in-picture");
 
     video.addEventListener("play", handlePlay);
     video.addEventListener("pause", handlePause);
@@ -270,11 +932,22 @@ const Player = forwardRef(
     video.addEventListener("loadedmetadata", handleLoadedMetadata);
     video.addEventListener("volumechange", handleVolumeChangeEvent);
     video.addEventListener("error", handleError);
+    video.addEventListener("enterpictureinpicture", handleEnterPictureInPicture);
+    video.addEventListener("leavepictureinpicture", handleLeavePictureInPicture);
+    video.addEventListener("webkitpresentationmodechanged", handlePresentationModeChange);
 
     return () => {
+      cancelled = true;
+      sniffController.abort();
       if (hls) {
         hls.destroy();
+        hlsRef.current = null;
       }
+      if (engine) {
+        engine.destroy();
+        engineRef.current = null;
+      }
+      revokeDrm();
       video.removeEventListener("play", handlePlay);
       video.removeEventListener("pause", handlePause);
       video.removeEventListener("waiting", handleWaiting);
@@ -283,18 +956,22 @@ const Player = forwardRef(
       video.removeEventListener("loadedmetadata", handleLoadedMetadata);
       video.removeEventListener("volumechange", handleVolumeChangeEvent);
       video.removeEventListener("error", handleError);
+      video.removeEventListener("enterpictureinpicture", handleEnterPictureInPicture);
+      video.removeEventListener("leavepictureinpicture", handleLeavePictureInPicture);
+      video.removeEventListener("webkitpresentationmodechanged", handlePresentationModeChange);
+      video.textTracks.removeEventListener("addtrack", handleAddTrack);
       video.pause();
       video.removeAttribute("src");
       video.load();
     };
-  }, [src]);
+  }, [streamUrl, declaredType, applyPreferredSubtitle]);
 
   // Auto-hide controls
   useEffect(() => {
     if (showControls) {
       if (controlsTimeout) clearTimeout(controlsTimeout);
       const timeout = setTimeout(() => {
-        if (isPlaying) {
+        if (isPlaying && !openMenu) {
           setShowControls(false);
         }
       }, 3000);
@@ -303,7 +980,7 @@ const Player = forwardRef(
     return () => {
       if (controlsTimeout) clearTimeout(controlsTimeout);
     };
-  }, [showControls, isPlaying]);
+  }, [showControls, isPlaying, openMenu]);
 
   const handleMouseMove = () => {
     setShowControls(true);
@@ -373,20 +1050,57 @@ const Player = forwardRef(
     return `${mins}:${secs.toString().padStart(2, "0")}`;
   };
 
+  const seekWindow = seekRange.end - seekRange.start;
+  const canSeek = isLive ? seekWindow >= MIN_DVR_WINDOW : duration > 0 && Number.isFinite(duration);
+  const behindLive = isLive ? Math.max(0, seekRange.end - currentTime) : 0;
+  const atLiveEdge = behindLive < LIVE_EDGE_THRESHOLD;
+  const behindLiveSeconds = Math.round(behindLive);
+
   useEffect(() => {
     if (onPlayerStateChange) {
       onPlayerStateChange({
         isPlaying,
         volume,
         isMuted,
+        live: isLive ? { behind: atLiveEdge ? 0 : behindLiveSeconds, canSeek } : null,
+        quality: {
+          levels: levels.map((level) => ({ index: level.index, label: formatLevel(level) })),
+          current: currentLevel,
+          selected: selectedLevel,
+        },
+        tracks: {
+          audio: audioTracks.map((t) => ({ id: t.id, label: trackLabel(t, `Track ${t.id + 1}`) })),
+          audioSelected: audioTrack,
+          subtitles: [...subtitleTracks, ...captionTracks].map((t) => ({ id: t.id, label: trackLabel(t, t.id) })),
+          subtitleSelected: subtitleTrack,
+        },
       });
     }
-  }, [isPlaying, volume, isMuted, onPlayerStateChange]);
+  }, [
+    isPlaying,
+    volume,
+    isMuted,
+    isLive,
+    atLiveEdge,
+    behindLiveSeconds,
+    canSeek,
+    levels,
+    currentLevel,
+    selectedLevel,
+    audioTracks,
+    audioTrack,
+    subtitleTracks,
+    captionTracks,
+    subtitleTrack,
+    onPlayerStateChange,
+  ]);
+
+  const currentLevelLabel = levels[currentLevel] ? formatLevel(levels[currentLevel]) : null;
 
   return (
     <div
       ref={containerRef}
-      className="w-full h-full bg-black flex flex-col overflow-hidden relative group"
+      className={`${captionScope} w-full h-full bg-black flex flex-col overflow-hidden relative group`}
       onMouseMove={handleMouseMove}
       onMouseLeave={() => {
         if (isPlaying) {
@@ -395,8 +1109,10 @@ const Player = forwardRef(
       }}
       onClick={handleContainerClick}
     >
+      <style>{captionCss(`.${captionScope}`, trackPrefs)}</style>
+
       {/* Back button for mobile */}
-      {onBack && (
+      {onBack && !mini && (
         <div className="md:hidden absolute top-4 left-4 z-30">
           <button
             onClick={(e) => {
@@ -413,10 +1129,73 @@ const Player = forwardRef(
         </div>
       )}
 
+      {/* Direct tuning overlay */}
+      {!mini && (tuneDigits || tuneMessage) && (
+        <div className="absolute top-16 right-4 z-40 px-5 py-3 bg-black/80 backdrop-blur-md rounded-xl border border-white/10 pointer-events-none">
+          {tuneDigits ? (
+            <p className="text-4xl font-mono font-bold text-green-400 tracking-widest">
+              {tuneDigits.padEnd(MAX_TUNE_DIGITS, "-")}
+            </p>
+          ) : (
+            <p className="text-sm text-red-300">{tuneMessage}</p>
+          )}
+        </div>
+      )}
+
+      {/* Stats for nerds */}
+      {showStats && !mini && <StatsOverlay stats={stats} onClose={() => setShowStats(false)} />}
+
+      {/* Source failover notice */}
+      {sourceNotice && !mini && (
+        <div className="absolute bottom-24 left-1/2 -translate-x-1/2 z-40 px-4 py-2 bg-black/80 backdrop-blur-md rounded-lg border border-white/10 pointer-events-none">
+          <p className="text-xs text-yellow-300">{sourceNotice}</p>
+        </div>
+      )}
+
+      {/* Favorite toggle */}
+      {onToggleFavorite && !mini && (
+        <div className={`absolute top-4 right-4 z-30 transition-opacity duration-300 ${showControls ? "opacity-100" : "opacity-0 pointer-events-none"}`}>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleFavorite();
+            }}
+            className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
+            title={isFavorite ? "Remove from favorites" : "Add to favorites"}
+          >
+            <svg className={`w-5 h-5 ${isFavorite ? "text-yellow-400" : "text-white"}`} fill={isFavorite ? "currentColor" : "none"} stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+            </svg>
+          </button>
+        </div>
+      )}
+
       {/* Channel name overlay */}
-      {channelName && (
-        <div className={`absolute top-4 left-1/2 transform -translate-x-1/2 z-30 px-4 py-2 bg-black/70 backdrop-blur-md rounded-lg transition-opacity duration-300 ${showControls ? "opacity-100" : "opacity-0"}`}>
-          <p className="text-white text-sm font-medium">{channelName}</p>
+      {channelName && !mini && (
+        <div className={`absolute top-4 left-1/2 transform -translate-x-1/2 z-30 px-4 py-2 bg-black/70 backdrop-blur-md rounded-lg transition-opacity duration-300 max-w-[80%] ${showControls ? "opacity-100" : "opacity-0"}`}>
+          <p className="text-white text-sm font-medium text-center truncate">
+            {channelNumber != null && <span className="mr-2 font-mono text-gray-400">{channelNumber}</span>}
+            {channelName}
+          </p>
+          {catchup ? (
+            <p className="text-xs text-yellow-300 truncate">
+              <span className="text-gray-400">Catch-up </span>
+              {formatProgrammeTime(catchup.start)}
+              {catchup.stop && `–${formatProgrammeTime(catchup.stop)}`} {catchup.title}
+            </p>
+          ) : nowNext?.now && (
+            <p className="text-xs text-blue-300 truncate">
+              <span className="text-gray-400">Now </span>
+              {formatProgrammeTime(nowNext.now.start)}
+              {nowNext.now.stop && `–${formatProgrammeTime(nowNext.now.stop)}`} {nowNext.now.title}
+            </p>
+          )}
+          {!catchup && nowNext?.next && (
+            <p className="text-xs text-gray-300 truncate">
+              <span className="text-gray-400">Next </span>
+              {formatProgrammeTime(nowNext.next.start)} {nowNext.next.title}
+            </p>
+          )}
         </div>
       )}
 
@@ -452,159 +1231,464 @@ const Player = forwardRef(
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                   </svg>
                   <p className="text-white text-lg font-medium mb-2">Error loading channel</p>
-                  <p className="text-gray-400 text-sm">{error}</p>
+                  <p className="text-gray-400 text-sm">
+                    {streams.length > 1 ? `All ${streams.length} sources failed. ${error}` : error}
+                  </p>
                 </div>
               </div>
             )}
 
             {/* Custom Controls Overlay */}
-            <div
-              className={`absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-transparent z-20 transition-opacity duration-300 ${showControls ? "opacity-100" : "opacity-0 pointer-events-none"}`}
-              onClick={(e) => e.stopPropagation()}
-            >
-              {/* Center play/pause button */}
-              <div className="absolute inset-0 flex items-center justify-center">
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    togglePlayPause();
-                  }}
-                  className="w-20 h-20 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
-                >
-                  {isPlaying ? (
-                    <svg className="w-10 h-10 text-white" fill="currentColor" viewBox="0 0 24 24">
-                      <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" />
-                    </svg>
-                  ) : (
-                    <svg className="w-10 h-10 text-white ml-1" fill="currentColor" viewBox="0 0 24 24">
-                      <path d="M8 5v14l11-7z" />
-                    </svg>
-                  )}
-                </button>
-              </div>
-
-              {/* Navigation buttons */}
-              <div className="absolute inset-y-0 left-0 flex items-center px-4">
-                {hasPrev && onPrev && (
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      onPrev();
-                    }}
-                    className="w-14 h-14 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
-                    title="Previous Channel"
-                  >
-                    <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-                    </svg>
-                  </button>
-                )}
-              </div>
-
-              <div className="absolute inset-y-0 right-0 flex items-center px-4">
-                {hasNext && onNext && (
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      onNext();
-                    }}
-                    className="w-14 h-14 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
-                    title="Next Channel"
-                  >
-                    <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                    </svg>
-                  </button>
-                )}
-              </div>
-
-              {/* Bottom controls bar */}
-              <div className="absolute bottom-0 left-0 right-0 p-4">
-                <div className="flex items-center gap-4 flex-wrap md:flex-nowrap">
-                  {/* Play/Pause button */}
+            {!mini && (
+              <div
+                className={`absolute inset-0 bg-gradient-to-t from-black/80 via-transparent to-transparent z-20 transition-opacity duration-300 ${showControls ? "opacity-100" : "opacity-0 pointer-events-none"}`}
+                onClick={(e) => e.stopPropagation()}
+              >
+                {/* Center play/pause button */}
+                <div className="absolute inset-0 flex items-center justify-center">
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
                       togglePlayPause();
                     }}
-                    className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
+                    className="w-20 h-20 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
                   >
                     {isPlaying ? (
-                      <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 24 24">
+                      <svg className="w-10 h-10 text-white" fill="currentColor" viewBox="0 0 24 24">
                         <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" />
                       </svg>
                     ) : (
-                      <svg className="w-5 h-5 text-white ml-0.5" fill="currentColor" viewBox="0 0 24 24">
+                      <svg className="w-10 h-10 text-white ml-1" fill="currentColor" viewBox="0 0 24 24">
                         <path d="M8 5v14l11-7z" />
                       </svg>
                     )}
                   </button>
+                </div>
 
-                  {/* Volume */}
-                  <div
-                    className="relative flex items-center gap-2"
-                    onMouseEnter={() => setShowVolumeSlider(true)}
-                    onMouseLeave={() => setShowVolumeSlider(false)}
-                  >
+                {/* Navigation buttons */}
+                <div className="absolute inset-y-0 left-0 flex items-center px-4">
+                  {hasPrev && onPrev && (
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
-                        toggleMute();
+                        onPrev();
+                      }}
+                      className="w-14 h-14 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
+                      title="Previous Channel"
+                    >
+                      <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+
+                <div className="absolute inset-y-0 right-0 flex items-center px-4">
+                  {hasNext && onNext && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onNext();
+                      }}
+                      className="w-14 h-14 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center border-2 border-white/20 hover:border-white/40 group"
+                      title="Next Channel"
+                    >
+                      <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+
+                {/* Bottom controls bar */}
+                <div className="absolute bottom-0 left-0 right-0 p-4">
+                  {canSeek && (
+                    <input
+                      type="range"
+                      min={isLive ? seekRange.start : 0}
+                      max={isLive ? seekRange.end : duration}
+                      step="0.1"
+                      value={Math.min(currentTime, isLive ? seekRange.end : duration)}
+                      onChange={(e) => {
+                        e.stopPropagation();
+                        seekTo(parseFloat(e.target.value));
+                      }}
+                      className="w-full mb-3 accent-blue-500 cursor-pointer"
+                      aria-label="Seek"
+                    />
+                  )}
+                  <div className="flex items-center gap-4 flex-wrap md:flex-nowrap">
+                    {/* Play/Pause button */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        togglePlayPause();
                       }}
                       className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
-                      title={isMuted ? "Unmute" : "Mute"}
                     >
-                      {renderVolumeIcon()}
+                      {isPlaying ? (
+                        <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 24 24">
+                          <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" />
+                        </svg>
+                      ) : (
+                        <svg className="w-5 h-5 text-white ml-0.5" fill="currentColor" viewBox="0 0 24 24">
+                          <path d="M8 5v14l11-7z" />
+                        </svg>
+                      )}
                     </button>
+
+                    {/* Volume */}
                     <div
-                      className={`overflow-hidden transition-all duration-200 origin-left ${
-                        showVolumeSlider ? "w-28 opacity-100" : "w-0 opacity-0"
+                      className="relative flex items-center gap-2"
+                      onMouseEnter={() => setShowVolumeSlider(true)}
+                      onMouseLeave={() => setShowVolumeSlider(false)}
+                    >
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          toggleMute();
+                        }}
+                        className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
+                        title={isMuted ? "Unmute" : "Mute"}
+                      >
+                        {renderVolumeIcon()}
+                      </button>
+                      <div
+                        className={`overflow-hidden transition-all duration-200 origin-left ${
+                          showVolumeSlider ? "w-28 opacity-100" : "w-0 opacity-0"
+                        }`}
+                      >
+                        <input
+                          type="range"
+                          min="0"
+                          max="1"
+                          step="0.05"
+                          value={volumeValue}
+                          onChange={(e) => {
+                            e.stopPropagation();
+                            handleVolumeChange(e);
+                          }}
+                          className="w-full accent-blue-500"
+                        />
+                      </div>
+                    </div>
+
+                    {/* Time display */}
+                    <div className="flex-1 flex items-center gap-3 text-white text-sm font-medium">
+                      {isLive ? (
+                        <>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              goLive();
+                            }}
+                            disabled={atLiveEdge}
+                            className={`flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold uppercase tracking-wide transition-colors ${
+                              atLiveEdge ? "bg-red-600/80 cursor-default" : "bg-black/60 hover:bg-black/80 text-gray-300"
+                            }`}
+                            title={atLiveEdge ? "Playing live" : "Go Live"}
+                          >
+                            <span className={`w-2 h-2 rounded-full ${atLiveEdge ? "bg-white" : "bg-gray-400"}`} />
+                            {atLiveEdge ? "Live" : "Go Live"}
+                          </button>
+                          {!atLiveEdge && <span className="text-gray-300">-{formatTime(behindLive)} behind live</span>}
+                        </>
+                      ) : (
+                        <span>
+                          {formatTime(currentTime)} / {formatTime(duration)}
+                        </span>
+                      )}
+                      {catchup && onExitCatchup && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onExitCatchup();
+                          }}
+                          className="flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-black/60 hover:bg-black/80 text-xs font-semibold uppercase tracking-wide text-gray-300 transition-colors"
+                        >
+                          <span className="w-2 h-2 rounded-full bg-red-500" />
+                          Back to live
+                        </button>
+                      )}
+                    </div>
+
+                    {/* Record */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        if (recording) stopRecording();
+                        else startRecording();
+                      }}
+                      className={`h-10 rounded-full backdrop-blur-md transition-all duration-200 flex items-center gap-2 text-white text-xs font-medium ${
+                        recording ? "px-3 bg-red-600/80 hover:bg-red-600" : "w-10 justify-center bg-black/60 hover:bg-black/80"
                       }`}
+                      title={recording ? "Stop recording" : "Record"}
                     >
-                      <input
-                        type="range"
-                        min="0"
-                        max="1"
-                        step="0.05"
-                        value={volumeValue}
-                        onChange={(e) => {
+                      <span className={`w-3 h-3 ${recording ? "rounded-sm bg-white" : "rounded-full bg-red-500"}`} />
+                      {recording && (
+                        <span className="tabular-nums">
+                          {formatElapsed(recording.elapsed)} · {formatBytes(recording.size)}
+                        </span>
+                      )}
+                    </button>
+
+                    {/* Source picker */}
+                    {streams.length > 1 && (
+                      <div className="relative">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setOpenMenu((menu) => (menu === "source" ? null : "source"));
+                          }}
+                          className="h-10 px-3 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center text-white text-xs font-medium"
+                          title={streams[sourceIndex]?.label || streamUrl}
+                        >
+                          Source {sourceIndex + 1}/{streams.length}
+                        </button>
+                        {openMenu === "source" && (
+                          <div className="absolute bottom-12 right-0 w-64 max-h-64 overflow-y-auto bg-black/90 backdrop-blur-md rounded-xl border border-white/10 py-1">
+                            {streams.map((stream, index) => (
+                              <button
+                                key={stream.url}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  selectSource(index);
+                                }}
+                                className={`w-full text-left px-3 py-2 text-xs transition-colors ${
+                                  index === sourceIndex ? "text-blue-300 bg-white/5" : "text-gray-200 hover:bg-white/10"
+                                }`}
+                              >
+                                <span className="block font-medium">
+                                  {index + 1}. {stream.label || `Source ${index + 1}`}
+                                </span>
+                                <span className="block truncate text-gray-500">{stream.url}</span>
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Audio and subtitles */}
+                    <div className="relative">
+                      <button
+                        onClick={(e) => {
                           e.stopPropagation();
-                          handleVolumeChange(e);
+                          setOpenMenu((menu) => (menu === "tracks" ? null : "tracks"));
                         }}
-                        className="w-full accent-blue-500"
-                      />
+                        className={`w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center text-xs font-bold ${
+                          subtitleTrack !== SUBTITLES_OFF ? "text-blue-300" : "text-white"
+                        }`}
+                        title="Audio and subtitles"
+                      >
+                        CC
+                      </button>
+                      {openMenu === "tracks" && (
+                        <div
+                          className="absolute bottom-12 right-0 w-64 max-h-80 overflow-y-auto bg-black/90 backdrop-blur-md rounded-xl border border-white/10 p-3 space-y-3 text-xs text-gray-200"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <div className="space-y-1">
+                            <p className="text-gray-400 uppercase tracking-wider">Audio</p>
+                            {audioTracks.length === 0 ? (
+                              <p className="text-gray-500">Default audio only</p>
+                            ) : (
+                              audioTracks.map((track) => (
+                                <MenuOption
+                                  key={track.id}
+                                  active={track.id === audioTrack}
+                                  onClick={() => selectAudioTrack(track.id)}
+                                >
+                                  {trackLabel(track, `Track ${track.id + 1}`)}
+                                </MenuOption>
+                              ))
+                            )}
+                          </div>
+                          <div className="space-y-1">
+                            <p className="text-gray-400 uppercase tracking-wider">Subtitles</p>
+                            <MenuOption
+                              active={subtitleTrack === SUBTITLES_OFF}
+                              onClick={() => selectSubtitleTrack(SUBTITLES_OFF)}
+                            >
+                              Off
+                            </MenuOption>
+                            {[...subtitleTracks, ...captionTracks].map((track) => (
+                              <MenuOption
+                                key={track.id}
+                                active={track.id === subtitleTrack}
+                                onClick={() => selectSubtitleTrack(track.id)}
+                              >
+                                {trackLabel(track, track.id)}
+                              </MenuOption>
+                            ))}
+                          </div>
+                          <div className="space-y-1">
+                            <p className="text-gray-400 uppercase tracking-wider">Caption size</p>
+                            <OptionGroup
+                              options={CAPTION_SIZES}
+                              value={trackPrefs.captionSize}
+                              onChange={(captionSize) => setTrackPrefs((prev) => ({ ...prev, captionSize }))}
+                            />
+                          </div>
+                          <div className="space-y-1">
+                            <p className="text-gray-400 uppercase tracking-wider">Caption background</p>
+                            <OptionGroup
+                              options={CAPTION_BACKGROUNDS}
+                              value={trackPrefs.captionBackground}
+                              onChange={(captionBackground) => setTrackPrefs((prev) => ({ ...prev, captionBackground }))}
+                            />
+                          </div>
+                          <div className="grid grid-cols-2 gap-2">
+                            <label className="space-y-1">
+                              <span className="block text-gray-400 uppercase tracking-wider">Audio lang</span>
+                              <input
+                                value={trackPrefs.audioLanguage}
+                                onChange={(e) => setTrackPrefs((prev) => ({ ...prev, audioLanguage: e.target.value }))}
+                                placeholder="e.g. en"
+                                className="w-full px-2 py-1.5 rounded-lg bg-gray-800 border border-white/10 text-white placeholder-gray-500"
+                              />
+                            </label>
+                            <label className="space-y-1">
+                              <span className="block text-gray-400 uppercase tracking-wider">Subtitle lang</span>
+                              <input
+                                value={trackPrefs.subtitleLanguage}
+                                onChange={(e) => setTrackPrefs((prev) => ({ ...prev, subtitleLanguage: e.target.value }))}
+                                placeholder="Off"
+                                className="w-full px-2 py-1.5 rounded-lg bg-gray-800 border border-white/10 text-white placeholder-gray-500"
+                              />
+                            </label>
+                          </div>
+                        </div>
+                      )}
                     </div>
-                  </div>
 
-                  {/* Time display */}
-                  <div className="flex-1 text-white text-sm font-medium">
-                    <span>
-                      {formatTime(currentTime)} / {formatTime(duration)}
-                    </span>
-                  </div>
+                    {/* Quality settings */}
+                    <div className="relative">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setOpenMenu((menu) => (menu === "settings" ? null : "settings"));
+                        }}
+                        className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
+                        title="Quality settings"
+                      >
+                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                        </svg>
+                      </button>
+                      {openMenu === "settings" && (
+                        <div
+                          className="absolute bottom-12 right-0 w-64 max-h-80 overflow-y-auto bg-black/90 backdrop-blur-md rounded-xl border border-white/10 p-3 space-y-3 text-xs text-gray-200"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <div className="space-y-1">
+                            <p className="text-gray-400 uppercase tracking-wider">Quality</p>
+                            {levels.length === 0 ? (
+                              <p className="text-gray-500">No alternate renditions</p>
+                            ) : (
+                              [{ index: -1 }, ...[...levels].reverse()].map((level) => (
+                                <MenuOption
+                                  key={level.index}
+                                  active={level.index === selectedLevel}
+                                  onClick={() => selectQuality(level.index)}
+                                >
+                                  {level.index === -1
+                                    ? `Auto${selectedLevel === -1 && currentLevelLabel ? ` (${currentLevelLabel})` : ""}`
+                                    : formatLevel(level)}
+                                </MenuOption>
+                              ))
+                            )}
+                          </div>
+                          <label className="block space-y-1">
+                            <span className="text-gray-400 uppercase tracking-wider">Bandwidth cap</span>
+                            <select
+                              value={qualityPrefs.bandwidthCap ?? ""}
+                              onChange={(e) =>
+                                setQualityPrefs((prev) => ({
+                                  ...prev,
+                                  bandwidthCap: e.target.value ? Number(e.target.value) : null,
+                                }))
+                              }
+                              className="w-full px-2 py-1.5 rounded-lg bg-gray-800 border border-white/10 text-white"
+                            >
+                              {BANDWIDTH_CAPS.map((cap) => (
+                                <option key={cap ?? "none"} value={cap ?? ""}>
+                                  {cap ? formatBitrate(cap) : "No limit"}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="flex items-center justify-between gap-2 cursor-pointer">
+                            <span>
+                              Data saver
+                              <span className="block text-gray-500">Limit auto quality to {DATA_SAVER_MAX_HEIGHT}p</span>
+                            </span>
+                            <input
+                              type="checkbox"
+                              checked={qualityPrefs.dataSaver}
+                              onChange={(e) => setQualityPrefs((prev) => ({ ...prev, dataSaver: e.target.checked }))}
+                              className="accent-blue-500"
+                            />
+                          </label>
+                          <label className="flex items-center justify-between gap-2 cursor-pointer">
+                            <span>
+                              Stats for nerds
+                              <span className="block text-gray-500">Press I to toggle</span>
+                            </span>
+                            <input
+                              type="checkbox"
+                              checked={showStats}
+                              onChange={(e) => setShowStats(e.target.checked)}
+                              className="accent-blue-500"
+                            />
+                          </label>
+                        </div>
+                      )}
+                    </div>
 
-                  {/* Fullscreen button */}
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      if (containerRef.current) {
-                        if (document.fullscreenElement) {
-                          document.exitFullscreen();
-                        } else {
-                          containerRef.current.requestFullscreen();
+                    {/* Picture-in-Picture */}
+                    {canPictureInPicture && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          togglePictureInPicture();
+                        }}
+                        className={`w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center ${
+                          isPictureInPicture ? "text-blue-300" : "text-white"
+                        }`}
+                        title={isPictureInPicture ? "Exit Picture-in-Picture" : "Picture-in-Picture"}
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <rect x="3" y="5" width="18" height="14" rx="2" strokeWidth={2} />
+                          <rect x="12" y="11" width="7" height="6" rx="1" fill="currentColor" stroke="none" />
+                        </svg>
+                      </button>
+                    )}
+
+                    {/* Fullscreen button */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        if (containerRef.current) {
+                          if (document.fullscreenElement) {
+                            document.exitFullscreen();
+                          } else {
+                            containerRef.current.requestFullscreen();
+                          }
                         }
-                      }
-                    }}
-                    className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
-                    title="Fullscreen"
-                  >
-                    <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4" />
-                    </svg>
-                  </button>
+                      }}
+                      className="w-10 h-10 rounded-full bg-black/60 backdrop-blur-md hover:bg-black/80 transition-all duration-200 flex items-center justify-center"
+                      title="Fullscreen"
+                    >
+                      <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4" />
+                      </svg>
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
           </>
         ) : (
           <div className="text-center">
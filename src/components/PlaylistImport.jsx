@@ -0,0 +1,184 @@
+import React, { useRef, useState } from "react";
+
+const ACCEPTED_EXTENSIONS = [".m3u", ".m3u8"];
+
+const isPlaylistFile = (file) =>
+  ACCEPTED_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext));
+
+const ImportSummary = ({ summary }) => (
+  <div className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3 text-sm">
+    <div className="grid grid-cols-3 gap-2 text-center">
+      <div>
+        <p className="text-xl font-semibold text-white">{summary.channels}</p>
+        <p className="text-xs text-gray-400">Channels found</p>
+      </div>
+      <div>
+        <p className="text-xl font-semibold text-white">{summary.skippedLines}</p>
+        <p className="text-xs text-gray-400">Lines skipped</p>
+      </div>
+      <div>
+        <p className={`text-xl font-semibold ${summary.malformed.length > 0 ? "text-yellow-300" : "text-white"}`}>
+          {summary.malformed.length}
+        </p>
+        <p className="text-xs text-gray-400">Malformed</p>
+      </div>
+    </div>
+    {summary.channels === 0 && (
+      <p className="text-xs text-red-400 text-center">No channels found, nothing was imported.</p>
+    )}
+    {summary.malformed.length > 0 && (
+      <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-gray-400 font-mono">
+        {summary.malformed.map((item, idx) => (
+          <li key={idx} className="truncate">
+            Line {item.line}: {item.reason}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const PlaylistImport = ({ visible, onClose, onImport }) => {
+  const fileInputRef = useRef(null);
+  const [name, setName] = useState("");
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [isDragging, setIsDragging] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!visible) return null;
+
+  const reset = () => {
+    setName("");
+    setText("");
+    setFileName("");
+    setSummary(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    if (!isPlaylistFile(file)) {
+      setError("Only .m3u and .m3u8 files can be imported");
+      return;
+    }
+    try {
+      setText(await file.text());
+      setFileName(file.name);
+      if (!name) setName(file.name.replace(/\.m3u8?$/i, ""));
+      setError(null);
+      setSummary(null);
+    } catch (err) {
+      console.error("Failed to read playlist file:", err);
+      setError("Could not read the selected file");
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    loadFile(e.dataTransfer.files?.[0]);
+  };
+
+  const handleImport = () => {
+    if (!text.trim()) return;
+    setSummary(onImport({ name, text }));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gradient-to-br from-gray-950/95 via-black/90 to-gray-900/95 backdrop-blur-xl flex items-center justify-center p-4">
+      <div className="relative w-full max-w-lg max-h-full overflow-y-auto bg-gradient-to-br from-gray-900 via-gray-900 to-black rounded-3xl border border-white/5 shadow-2xl shadow-black/80 p-6 space-y-5">
+        <button
+          onClick={handleClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+          aria-label="Close import"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M6 6l12 12M6 18L18 6" />
+          </svg>
+        </button>
+
+        <div>
+          <p className="text-xs text-gray-400 uppercase tracking-[0.3em]">Import</p>
+          <h2 className="text-2xl font-semibold text-white">Local playlist</h2>
+        </div>
+
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+          className={`border-2 border-dashed rounded-2xl p-6 text-center cursor-pointer transition-colors duration-200 ${
+            isDragging ? "border-blue-500 bg-blue-600/10" : "border-gray-700 hover:border-gray-500"
+          }`}
+        >
+          <svg className="w-10 h-10 text-gray-500 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12m0-12l-4 4m4-4l4 4" />
+          </svg>
+          <p className="text-sm text-gray-300">{fileName || "Drop a .m3u / .m3u8 file or click to browse"}</p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_EXTENSIONS.join(",")}
+            className="hidden"
+            onChange={(e) => {
+              loadFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setFileName("");
+            setSummary(null);
+          }}
+          placeholder={"...or paste playlist text\n#EXTM3U\n#EXTINF:-1,Channel name\nhttps://example.com/stream.m3u8"}
+          rows={6}
+          className="w-full px-4 py-3 text-xs font-mono rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+        />
+
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Playlist name"
+          className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+        />
+
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        {summary && <ImportSummary summary={summary} />}
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleImport}
+            disabled={!text.trim() || Boolean(summary)}
+            className="flex-1 py-2.5 rounded-xl bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-sm font-semibold shadow-md shadow-blue-900/50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Import
+          </button>
+          {summary && (
+            <button
+              onClick={reset}
+              className="flex-1 py-2.5 rounded-xl bg-gray-800 border border-white/10 text-sm font-semibold"
+            >
+              Import another
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlaylistImport;
@@ -0,0 +1,299 @@
+import React, { useState } from "react";
+import { PROXY_MODES, checkProxy } from "../utils/proxy";
+
+const formatFetchTime = (timestamp) => {
+  if (!timestamp) return "Never fetched";
+  return new Date(timestamp).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const SourceStatus = ({ source }) => {
+  if (source.status === "loading") {
+    return <span className="text-yellow-300">Fetching...</span>;
+  }
+  if (source.status === "error") {
+    return <span className="text-red-400">Failed: {source.error}</span>;
+  }
+  return (
+    <span className="text-gray-400">
+      {source.channelCount ?? 0} channels · {formatFetchTime(source.lastFetchedAt)}
+    </span>
+  );
+};
+
+const EpgSettings = ({ epg }) => {
+  const [draftUrl, setDraftUrl] = useState(epg.customUrl);
+
+  return (
+    <div className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-300">Programme guide (XMLTV)</p>
+        <span className="text-xs text-gray-400">
+          {epg.loading ? "Loading..." : epg.index ? `${epg.index.programmesById.size} channels` : "Not loaded"}
+        </span>
+      </div>
+      <input
+        value={draftUrl}
+        onChange={(e) => setDraftUrl(e.target.value)}
+        placeholder="Custom EPG URL (.xml or .xml.gz)"
+        type="url"
+        className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+      />
+      {epg.playlistUrls.length > 0 && (
+        <div className="text-xs text-gray-500 space-y-1">
+          <p>{epg.customUrl ? "Overriding playlist guide:" : "Using playlist guide:"}</p>
+          {epg.playlistUrls.map((url) => (
+            <p key={url} className="font-mono truncate">{url}</p>
+          ))}
+        </div>
+      )}
+      {epg.errors.map((err) => (
+        <p key={err.url} className="text-xs text-red-400 truncate">
+          {err.url}: {err.message}
+        </p>
+      ))}
+      <div className="flex gap-2 text-xs">
+        <button
+          onClick={() => epg.setCustomUrl(draftUrl.trim())}
+          disabled={draftUrl.trim() === epg.customUrl}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+        <button
+          onClick={epg.reload}
+          disabled={epg.loading || epg.urls.length === 0}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Reload guide
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ProxySettings = ({ settings, onChange }) => {
+  const [draftUrl, setDraftUrl] = useState(settings.url);
+  const [draftToken, setDraftToken] = useState(settings.token || "");
+  const [status, setStatus] = useState(null);
+  const changed = draftUrl.trim() !== settings.url || draftToken.trim() !== (settings.token || "");
+
+  const handleCheck = async () => {
+    setStatus("Checking...");
+    try {
+      await checkProxy(draftUrl.trim(), draftToken.trim());
+      setStatus("Proxy is reachable");
+    } catch (err) {
+      setStatus(`Proxy not reachable: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-300">Stream proxy</p>
+        <select
+          value={settings.mode}
+          onChange={(e) => onChange({ ...settings, mode: e.target.value })}
+          className="px-2 py-1 text-xs rounded-lg bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none"
+        >
+          {Object.entries(PROXY_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-gray-500">
+        Sends User-Agent and Referer headers and works around CORS. Start it with{" "}
+        <span className="font-mono">npm run proxy</span> and paste the token it prints.
+      </p>
+      <input
+        value={draftUrl}
+        onChange={(e) => setDraftUrl(e.target.value)}
+        placeholder="Proxy URL"
+        type="url"
+        className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+      />
+      <input
+        value={draftToken}
+        onChange={(e) => setDraftToken(e.target.value)}
+        placeholder="Proxy token"
+        autoComplete="off"
+        className="w-full px-4 py-2.5 text-sm font-mono rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+      />
+      {status && <p className="text-xs text-gray-400">{status}</p>}
+      <div className="flex gap-2 text-xs">
+        <button
+          onClick={() => onChange({ ...settings, url: draftUrl.trim(), token: draftToken.trim() })}
+          disabled={!changed}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+        <button
+          onClick={handleCheck}
+          disabled={!draftUrl.trim()}
+          className="flex-1 px-3 py-2 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Test
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const PlaylistManager = ({
+  visible,
+  onClose,
+  sources,
+  loading,
+  onAdd,
+  onRemove,
+  onToggle,
+  onMove,
+  onRefreshSource,
+  onRefreshAll,
+  epg,
+  proxySettings,
+  onProxySettingsChange,
+}) => {
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+
+  if (!visible) return null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!url.trim()) return;
+    onAdd({ name, url });
+    setName("");
+    setUrl("");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gradient-to-br from-gray-950/95 via-black/90 to-gray-900/95 backdrop-blur-xl flex items-center justify-center p-4">
+      <div className="relative w-full max-w-lg max-h-full overflow-y-auto bg-gradient-to-br from-gray-900 via-gray-900 to-black rounded-3xl border border-white/5 shadow-2xl shadow-black/80 p-6 space-y-5">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-gray-400 hover:text-white transition-colors"
+          aria-label="Close playlists"
+        >
+          <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M6 6l12 12M6 18L18 6" />
+          </svg>
+        </button>
+
+        <div>
+          <p className="text-xs text-gray-400 uppercase tracking-[0.3em]">Playlists</p>
+          <h2 className="text-2xl font-semibold text-white">Manage sources</h2>
+        </div>
+
+        <div className="space-y-3">
+          {sources.length === 0 && (
+            <p className="text-sm text-gray-400 text-center py-4">No playlists yet. Add one below.</p>
+          )}
+          {sources.map((source, index) => (
+            <div
+              key={source.id}
+              className={`bg-black/40 border rounded-2xl p-4 space-y-2 ${
+                source.enabled ? "border-white/10" : "border-white/5 opacity-60"
+              }`}
+            >
+              <div className="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked={source.enabled}
+                  onChange={() => onToggle(source.id)}
+                  className="mt-1 accent-blue-500 cursor-pointer"
+                  title={source.enabled ? "Disable" : "Enable"}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-semibold text-white truncate">{source.name}</p>
+                  <p className="text-xs text-gray-500 font-mono truncate">
+                    {source.type === "local" ? "Imported playlist" : source.url}
+                  </p>
+                  <p className="text-xs mt-1">
+                    <SourceStatus source={source} />
+                  </p>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2 text-xs">
+                <button
+                  onClick={() => onMove(source.id, -1)}
+                  disabled={index === 0}
+                  className="px-3 py-1.5 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Up
+                </button>
+                <button
+                  onClick={() => onMove(source.id, 1)}
+                  disabled={index === sources.length - 1}
+                  className="px-3 py-1.5 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Down
+                </button>
+                {source.type !== "local" && (
+                  <button
+                    onClick={() => onRefreshSource(source.id)}
+                    disabled={source.status === "loading"}
+                    className="px-3 py-1.5 rounded-lg bg-gray-800 border border-white/10 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Refresh
+                  </button>
+                )}
+                <button
+                  onClick={() => onRemove(source.id)}
+                  className="ml-auto px-3 py-1.5 rounded-lg bg-red-600/30 text-red-200 border border-red-400/30"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-black/40 border border-white/5 rounded-2xl p-4 space-y-3">
+          <p className="text-sm text-gray-300">Add playlist</p>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name"
+            className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+          />
+          <input
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/playlist.m3u"
+            type="url"
+            required
+            className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500"
+          />
+          <button
+            type="submit"
+            className="w-full py-2.5 rounded-xl bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-sm font-semibold shadow-md shadow-blue-900/50"
+          >
+            Add playlist
+          </button>
+        </form>
+
+        <button
+          onClick={onRefreshAll}
+          disabled={loading}
+          className="w-full py-2.5 rounded-xl bg-gray-800 border border-white/10 text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? "Refreshing..." : "Refresh all enabled"}
+        </button>
+
+        {epg && <EpgSettings epg={epg} />}
+        {proxySettings && <ProxySettings settings={proxySettings} onChange={onProxySettingsChange} />}
+      </div>
+    </div>
+  );
+};
+
+export default PlaylistManager;
@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from "react";
+import { itemMatchesChannel } from "../utils/channelLists";
+
+const MAX_RECENT = 8;
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return "<1 min";
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatWhen = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+const RecentChannels = ({
+  history,
+  channels,
+  onSelect,
+  onClear,
+  onExport,
+  resumeLastChannel,
+  onToggleResume,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+
+  // One row per channel, using its latest visit.
+  const recent = useMemo(() => {
+    const seen = new Set();
+    const rows = [];
+    for (const entry of history) {
+      if (seen.has(entry.channel.url)) continue;
+      seen.add(entry.channel.url);
+      rows.push(entry);
+      if (rows.length === MAX_RECENT) break;
+    }
+    return rows;
+  }, [history]);
+
+  if (history.length === 0) return null;
+
+  return (
+    <div className="border-b border-gray-700/50">
+      <button
+        onClick={() => setExpanded((v) => !v)}
+        className="w-full flex items-center justify-between px-4 py-2.5 text-xs font-semibold uppercase tracking-wider text-gray-400 hover:text-white transition-colors"
+      >
+        <span>Recent</span>
+        <svg
+          className={`w-4 h-4 transition-transform duration-200 ${expanded ? "rotate-180" : ""}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+      {expanded && (
+        <div className="px-2 pb-3 space-y-1">
+          {recent.map((entry) => {
+            const channel = channels.find((ch) => itemMatchesChannel(entry.channel, ch));
+            return (
+              <button
+                key={entry.id}
+                onClick={() => channel && onSelect(channel)}
+                disabled={!channel}
+                className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-700/50 text-left disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                {entry.channel.logo ? (
+                  <img src={entry.channel.logo} alt="" loading="lazy" className="w-8 h-8 rounded object-cover flex-shrink-0" />
+                ) : (
+                  <span className="w-8 h-8 rounded bg-gray-700 flex items-center justify-center text-[10px] font-bold flex-shrink-0">TV</span>
+                )}
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm text-white truncate">{entry.channel.name}</span>
+                  <span className="block text-xs text-gray-500">
+                    {formatWhen(entry.startedAt)} · {formatDuration(entry.duration)}
+                  </span>
+                </span>
+              </button>
+            );
+          })}
+          <label className="flex items-center gap-2 px-3 pt-2 text-xs text-gray-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={resumeLastChannel}
+              onChange={(e) => onToggleResume(e.target.checked)}
+              className="accent-blue-500"
+            />
+            Resume last channel on startup
+          </label>
+          <div className="flex gap-2 px-3 pt-1">
+            <button
+              onClick={onExport}
+              className="flex-1 px-3 py-1.5 rounded-lg bg-gray-800 border border-white/10 text-xs font-medium"
+            >
+              Export
+            </button>
+            <button
+              onClick={onClear}
+              className="flex-1 px-3 py-1.5 rounded-lg bg-red-600/30 text-red-200 border border-red-400/30 text-xs font-medium"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecentChannels;
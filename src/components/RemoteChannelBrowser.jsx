@@ -0,0 +1,94 @@
+import React from "react";
+import { REMOTE_LIST_ALL } from "../utils/remoteProtocol";
+
+const RemoteChannelBrowser = ({
+  items,
+  total,
+  categories,
+  query,
+  category,
+  loading,
+  currentUrl,
+  disabled,
+  onQueryChange,
+  onCategoryChange,
+  onLoadMore,
+  onSelect,
+}) => (
+  <div className="w-full max-w-md bg-black/40 border border-white/5 rounded-3xl p-5 shadow-2xl shadow-black/60 space-y-4">
+    <div className="flex items-center justify-between">
+      <h2 className="text-lg font-semibold">Channels</h2>
+      <span className="text-xs text-gray-500">{disabled ? "Not connected" : `${total} found`}</span>
+    </div>
+    <div className="flex gap-2">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        placeholder="Search name or number"
+        disabled={disabled}
+        className="flex-1 min-w-0 px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500 disabled:opacity-40"
+      />
+      <select
+        value={category}
+        onChange={(e) => onCategoryChange(e.target.value)}
+        disabled={disabled}
+        className="w-32 px-3 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 disabled:opacity-40"
+      >
+        <option value={REMOTE_LIST_ALL}>All</option>
+        {categories.map((name) => (
+          <option key={name} value={name}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </div>
+
+    <div className="max-h-96 overflow-y-auto space-y-1 -mx-1 px-1">
+      {items.map((ch) => (
+        <button
+          key={ch.url}
+          onClick={() => onSelect(ch)}
+          disabled={disabled || !onSelect}
+          className={`w-full flex items-center gap-3 px-3 py-2 rounded-xl text-left transition-colors disabled:opacity-40 ${
+            ch.url === currentUrl ? "bg-blue-600/30 border border-blue-500/60" : "hover:bg-white/5 border border-transparent"
+          }`}
+        >
+          <span className="w-10 text-xs text-gray-400 font-mono text-right shrink-0">{ch.number ?? ""}</span>
+          {ch.logo ? (
+            <img
+              src={ch.logo}
+              alt=""
+              className="w-8 h-8 rounded-lg object-cover bg-gray-800 shrink-0"
+              onError={(e) => {
+                e.target.onerror = null;
+                e.target.style.visibility = "hidden";
+              }}
+            />
+          ) : (
+            <span className="w-8 h-8 rounded-lg bg-gray-800 shrink-0" />
+          )}
+          <span className="min-w-0">
+            <span className="block text-sm text-white truncate">{ch.name}</span>
+            <span className="block text-xs text-gray-500 truncate">{ch.group}</span>
+          </span>
+        </button>
+      ))}
+      {!loading && !disabled && items.length === 0 && (
+        <p className="py-6 text-center text-sm text-gray-500">No channels found</p>
+      )}
+    </div>
+
+    {items.length < total && (
+      <button
+        onClick={onLoadMore}
+        disabled={disabled || loading}
+        className="w-full py-2.5 rounded-xl text-sm bg-gray-900/80 border border-gray-700/60 hover:bg-gray-800 disabled:opacity-40"
+      >
+        {loading ? "Loading..." : `Show more (${total - items.length} left)`}
+      </button>
+    )}
+  </div>
+);
+
+export default RemoteChannelBrowser;
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { REMOTE_TRANSPORTS, TRANSPORT_LABELS, validateRemoteConnection } from "../utils/remoteTransport";
+
+const inputClass =
+  "w-full px-3 py-2 text-xs rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-500";
+
+const RemoteConnectionSettings = ({ settings, onChange }) => {
+  const [draft, setDraft] = useState(settings);
+  const [error, setError] = useState(null);
+
+  const update = (key) => (e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const handleSave = () => {
+    const next = {
+      ...draft,
+      peerServer: draft.peerServer.trim(),
+      relayUrl: draft.relayUrl.trim(),
+      iceServers: draft.iceServers.trim(),
+    };
+    const problem = validateRemoteConnection(next);
+    setError(problem);
+    if (!problem) onChange(next);
+  };
+
+  const changed = Object.keys(draft).some((key) => draft[key] !== settings[key]);
+
+  return (
+    <details className="bg-black/40 border border-white/5 rounded-2xl p-4 text-left">
+      <summary className="text-sm text-gray-300 cursor-pointer select-none">Connection settings</summary>
+      <div className="mt-3 space-y-3">
+        <p className="text-xs text-gray-500">
+          Leave the PeerJS server empty to use the public broker. Run{" "}
+          <span className="font-mono">npm run signaling</span> for a local PeerJS server and relay. The TV and the
+          remote need the same settings; the share link carries them, except TURN credentials.
+        </p>
+        <label className="block space-y-1 text-xs text-gray-400">
+          <span>Transport</span>
+          <select value={draft.transport} onChange={update("transport")} className={inputClass}>
+            {Object.values(REMOTE_TRANSPORTS).map((transport) => (
+              <option key={transport} value={transport}>
+                {TRANSPORT_LABELS[transport]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block space-y-1 text-xs text-gray-400">
+          <span>PeerJS server</span>
+          <input
+            value={draft.peerServer}
+            onChange={update("peerServer")}
+            placeholder="http://192.168.1.10:9000/"
+            className={inputClass}
+          />
+        </label>
+        <label className="block space-y-1 text-xs text-gray-400">
+          <span>ICE servers, one per line</span>
+          <textarea
+            value={draft.iceServers}
+            onChange={update("iceServers")}
+            rows={2}
+            placeholder={"stun:stun.example.org\nturn:turn.example.org:3478 user password"}
+            className={`${inputClass} font-mono`}
+          />
+        </label>
+        <label className="block space-y-1 text-xs text-gray-400">
+          <span>WebSocket relay</span>
+          <input
+            value={draft.relayUrl}
+            onChange={update("relayUrl")}
+            placeholder="ws://192.168.1.10:9001"
+            className={inputClass}
+          />
+        </label>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <button
+          onClick={handleSave}
+          disabled={!changed}
+          className="w-full px-3 py-2 rounded-lg bg-gray-800 border border-white/10 text-xs disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default RemoteConnectionSettings;
@@ -1,4 +1,7 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
+
+const MAX_TUNE_DIGITS = 4;
+const TUNE_COMMIT_DELAY = 2000;
 
 const RemoteButton = ({ children, onClick, label, variant = "primary", disabled }) => {
   const baseStyles =
@@ -26,6 +29,75 @@ const RemoteButton = ({ children, onClick, label, variant = "primary", disabled
   );
 };
 
+const SEEK_STEP = 10;
+
+const formatBehind = (seconds) => `-${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+const RemoteKeypad = ({ onTuneNumber, disabled }) => {
+  const [digits, setDigits] = useState("");
+  const timeoutRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  const commit = (value) => {
+    clearTimeout(timeoutRef.current);
+    setDigits("");
+    if (value) onTuneNumber?.(parseInt(value, 10));
+  };
+
+  const pressDigit = (digit) => {
+    clearTimeout(timeoutRef.current);
+    const next = (digits + digit).slice(-MAX_TUNE_DIGITS);
+    setDigits(next);
+    if (next.length === MAX_TUNE_DIGITS) {
+      commit(next);
+    } else {
+      timeoutRef.current = setTimeout(() => commit(next), TUNE_COMMIT_DELAY);
+    }
+  };
+
+  const keyClass =
+    "rounded-xl py-3 text-lg font-semibold bg-black/40 hover:bg-black/60 border border-white/5 text-white transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="bg-black/40 border border-white/5 rounded-2xl p-5 space-y-3 shadow-inner shadow-black/50">
+      <div className="flex items-center justify-between text-sm text-gray-300">
+        <span>Channel number</span>
+        <span className="font-mono text-lg text-green-400 tracking-widest">
+          {digits ? digits.padEnd(MAX_TUNE_DIGITS, "-") : "----"}
+        </span>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {["1", "2", "3", "4", "5", "6", "7", "8", "9"].map((digit) => (
+          <button key={digit} onClick={() => pressDigit(digit)} disabled={disabled} className={keyClass}>
+            {digit}
+          </button>
+        ))}
+        <button
+          onClick={() => {
+            clearTimeout(timeoutRef.current);
+            setDigits("");
+          }}
+          disabled={disabled || !digits}
+          className={`${keyClass} text-sm text-gray-300`}
+        >
+          Clear
+        </button>
+        <button onClick={() => pressDigit("0")} disabled={disabled} className={keyClass}>
+          0
+        </button>
+        <button
+          onClick={() => commit(digits)}
+          disabled={disabled || !digits}
+          className={`${keyClass} text-sm bg-gradient-to-br from-blue-600/80 to-purple-600/80`}
+        >
+          OK
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const RemoteControl = ({
   visible,
   mode = "modal",
@@ -43,12 +115,22 @@ const RemoteControl = ({
   onVolumeUp,
   onVolumeDown,
   onVolumeChange,
+  onSeekBy,
+  onGoLive,
+  onSelectQuality,
+  onSelectAudioTrack,
+  onSelectSubtitleTrack,
+  onTuneNumber,
+  multiView,
+  onFocusTile,
   disabled = false,
   connectionStatus,
 }) => {
   if (mode === "modal" && !visible) return null;
 
-  const { isPlaying, volume = 1, isMuted } = playerState;
+  const { isPlaying, volume = 1, isMuted, live, quality, tracks } = playerState;
+  const hasTrackChoices = tracks?.audio?.length > 1 || tracks?.subtitles?.length > 0;
+  const currentQuality = quality?.levels?.find((level) => level.index === quality.current);
   const volumePercent = Math.round((isMuted ? 0 : volume) * 100);
   const controlsDisabled = disabled || !channel;
   const isModal = mode === "modal";
@@ -98,8 +180,15 @@ const RemoteControl = ({
           </div>
           <div>
             <p className="text-sm text-gray-400 uppercase tracking-wider">Controlling</p>
-            <h2 className="text-2xl font-semibold text-white">{channel?.name || "No channel selected"}</h2>
+            <h2 className="text-2xl font-semibold text-white">
+              {channel?.number != null && (
+                <span className="mr-2 font-mono text-lg text-gray-400">{channel.number}</span>
+              )}
+              {channel?.name || "No channel selected"}
+            </h2>
             {channel?.group && <p className="text-sm text-gray-400">{channel.group}</p>}
+            {channel?.now && <p className="text-xs text-gray-500 mt-1">Now: {channel.now.title}</p>}
+            {channel?.next && <p className="text-xs text-gray-500">Next: {channel.next.title}</p>}
           </div>
         </div>
 
@@ -159,6 +248,39 @@ const RemoteControl = ({
           </RemoteButton>
         </div>
 
+        {onSeekBy && (
+          <div className="grid grid-cols-3 gap-4">
+            <RemoteButton
+              onClick={() => onSeekBy(-SEEK_STEP)}
+              variant="subtle"
+              label={`-${SEEK_STEP}s`}
+              disabled={controlsDisabled || (live && !live.canSeek)}
+            >
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.6} d="M11 19l-7-7 7-7m8 14l-7-7 7-7" />
+              </svg>
+            </RemoteButton>
+            <RemoteButton
+              onClick={onGoLive}
+              variant={live && live.behind > 0 ? "danger" : "subtle"}
+              label={live ? (live.behind > 0 ? formatBehind(live.behind) : "Live") : "Go Live"}
+              disabled={controlsDisabled || !live || live.behind === 0}
+            >
+              <span className={`w-3 h-3 rounded-full ${live ? "bg-red-500" : "bg-gray-500"}`} />
+            </RemoteButton>
+            <RemoteButton
+              onClick={() => onSeekBy(SEEK_STEP)}
+              variant="subtle"
+              label={`+${SEEK_STEP}s`}
+              disabled={controlsDisabled || (live && !live.canSeek)}
+            >
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.6} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
+              </svg>
+            </RemoteButton>
+          </div>
+        )}
+
         <div className="bg-black/40 border border-white/5 rounded-2xl p-5 space-y-4 shadow-inner shadow-black/50">
           <div className="flex items-center justify-between text-sm text-gray-300">
             <span>Volume</span>
@@ -194,6 +316,92 @@ const RemoteControl = ({
           </div>
         </div>
 
+        {onFocusTile && multiView && (
+          <div className="bg-black/40 border border-white/5 rounded-2xl p-5 space-y-3 shadow-inner shadow-black/50">
+            <div className="flex items-center justify-between text-sm text-gray-300">
+              <span>Multi-view audio</span>
+              <span className="font-semibold">Tile {multiView.focused + 1}</span>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {multiView.tiles.map((name, index) => (
+                <button
+                  key={index}
+                  onClick={() => onFocusTile(index)}
+                  disabled={controlsDisabled}
+                  className={`px-3 py-2.5 rounded-xl text-sm text-left truncate border transition-colors disabled:opacity-40 ${
+                    index === multiView.focused
+                      ? "bg-blue-600/30 border-blue-500/60 text-white"
+                      : "bg-gray-900/80 border-gray-700/60 text-gray-300 hover:bg-gray-800"
+                  }`}
+                >
+                  {index + 1}. {name || "Empty"}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {onSelectQuality && quality?.levels?.length > 0 && (
+          <div className="bg-black/40 border border-white/5 rounded-2xl p-5 space-y-3 shadow-inner shadow-black/50">
+            <div className="flex items-center justify-between text-sm text-gray-300">
+              <span>Quality</span>
+              <span className="font-semibold">{currentQuality?.label || "--"}</span>
+            </div>
+            <select
+              value={quality.selected}
+              onChange={(e) => onSelectQuality(parseInt(e.target.value, 10))}
+              disabled={controlsDisabled}
+              className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 disabled:opacity-40"
+            >
+              <option value={-1}>Auto</option>
+              {[...quality.levels].reverse().map((level) => (
+                <option key={level.index} value={level.index}>
+                  {level.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {onSelectAudioTrack && onSelectSubtitleTrack && hasTrackChoices && (
+          <div className="bg-black/40 border border-white/5 rounded-2xl p-5 space-y-3 shadow-inner shadow-black/50">
+            <label className="block space-y-2 text-sm text-gray-300">
+              <span>Audio</span>
+              <select
+                value={tracks.audioSelected}
+                onChange={(e) => onSelectAudioTrack(parseInt(e.target.value, 10))}
+                disabled={controlsDisabled || tracks.audio.length < 2}
+                className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 disabled:opacity-40"
+              >
+                {tracks.audio.length === 0 && <option value={-1}>Default</option>}
+                {tracks.audio.map((track) => (
+                  <option key={track.id} value={track.id}>
+                    {track.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block space-y-2 text-sm text-gray-300">
+              <span>Subtitles</span>
+              <select
+                value={tracks.subtitleSelected}
+                onChange={(e) => onSelectSubtitleTrack(e.target.value)}
+                disabled={controlsDisabled}
+                className="w-full px-4 py-2.5 text-sm rounded-xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 disabled:opacity-40"
+              >
+                <option value="off">Off</option>
+                {tracks.subtitles.map((track) => (
+                  <option key={track.id} value={track.id}>
+                    {track.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+
+        {onTuneNumber && <RemoteKeypad onTuneNumber={onTuneNumber} disabled={controlsDisabled} />}
+
         {connectionStatus && (
           <p className="text-center text-xs text-gray-500">{connectionStatus}</p>
         )}
@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from "react";
+import { formatStatsReport, formatStatsRows } from "../utils/playbackStats";
+
+const StatsOverlay = ({ stats, onClose }) => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  if (!stats) return null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatStatsReport(stats));
+      setCopied(true);
+    } catch (err) {
+      console.error("Failed to copy stats:", err);
+    }
+  };
+
+  return (
+    <div
+      className="absolute top-16 left-4 z-40 w-80 max-w-[calc(100%-2rem)] max-h-[70%] overflow-y-auto bg-black/85 backdrop-blur-md rounded-xl border border-white/10 p-3 text-[11px] font-mono text-gray-200 space-y-2"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between gap-2 font-sans">
+        <p className="text-xs font-semibold text-white">Stream stats</p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleCopy}
+            className="px-2 py-1 rounded-md bg-gray-800 border border-white/10 text-xs hover:bg-gray-700 transition-colors"
+          >
+            {copied ? "Copied" : "Copy"}
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors" aria-label="Close stats">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l12 12M6 18L18 6" />
+            </svg>
+          </button>
+        </div>
+      </div>
+      <p className="truncate text-gray-500" title={stats.url}>
+        {stats.url}
+      </p>
+      <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5">
+        {formatStatsRows(stats).map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="truncate">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div>
+        <p className="text-gray-400">Recent errors</p>
+        {stats.errors.length === 0 ? (
+          <p className="text-gray-500">None</p>
+        ) : (
+          <ul className="space-y-0.5">
+            {[...stats.errors].reverse().map((e, idx) => (
+              <li key={idx} className={`truncate ${e.fatal ? "text-red-300" : "text-yellow-200"}`}>
+                {new Date(e.time).toLocaleTimeString()} {e.details}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsOverlay;
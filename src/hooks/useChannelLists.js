@@ -0,0 +1,109 @@
+import { useCallback, useMemo } from "react";
+import useStoredState from "./useStoredState";
+import {
+  CHANNEL_LISTS_STORAGE_KEY,
+  DEFAULT_CHANNEL_LISTS,
+  FAVORITES_LIST_ID,
+  itemMatchesChannel,
+  toListItem,
+} from "../utils/channelLists";
+import { createId } from "../utils/id";
+
+const useChannelLists = () => {
+  const [lists, setLists] = useStoredState(CHANNEL_LISTS_STORAGE_KEY, DEFAULT_CHANNEL_LISTS);
+
+  const updateList = useCallback(
+    (id, update) => {
+      setLists((prev) => prev.map((list) => (list.id === id ? { ...list, ...update(list) } : list)));
+    },
+    [setLists]
+  );
+
+  const favorites = useMemo(
+    () => lists.find((list) => list.id === FAVORITES_LIST_ID) || DEFAULT_CHANNEL_LISTS[0],
+    [lists]
+  );
+
+  const isFavorite = useCallback(
+    (channel) => favorites.items.some((item) => itemMatchesChannel(item, channel)),
+    [favorites]
+  );
+
+  const addToList = useCallback(
+    (id, channel) => {
+      updateList(id, (list) =>
+        list.items.some((item) => itemMatchesChannel(item, channel))
+          ? {}
+          : { items: [...list.items, toListItem(channel)] }
+      );
+    },
+    [updateList]
+  );
+
+  const removeFromList = useCallback(
+    (id, channel) => {
+      updateList(id, (list) => ({
+        items: list.items.filter((item) => !itemMatchesChannel(item, channel)),
+      }));
+    },
+    [updateList]
+  );
+
+  const toggleFavorite = useCallback(
+    (channel) => {
+      if (isFavorite(channel)) removeFromList(FAVORITES_LIST_ID, channel);
+      else addToList(FAVORITES_LIST_ID, channel);
+    },
+    [isFavorite, addToList, removeFromList]
+  );
+
+  const moveListItem = useCallback(
+    (id, from, to) => {
+      updateList(id, (list) => {
+        const items = [...list.items];
+        const [moved] = items.splice(from, 1);
+        items.splice(to, 0, moved);
+        return { items };
+      });
+    },
+    [updateList]
+  );
+
+  const removeListItem = useCallback(
+    (id, index) => {
+      updateList(id, (list) => ({ items: list.items.filter((_, i) => i !== index) }));
+    },
+    [updateList]
+  );
+
+  const createList = useCallback(
+    (name) => {
+      const list = { id: createId(), name: name.trim(), items: [] };
+      setLists((prev) => [...prev, list]);
+      return list.id;
+    },
+    [setLists]
+  );
+
+  const deleteList = useCallback(
+    (id) => {
+      if (id === FAVORITES_LIST_ID) return;
+      setLists((prev) => prev.filter((list) => list.id !== id));
+    },
+    [setLists]
+  );
+
+  return {
+    lists,
+    isFavorite,
+    toggleFavorite,
+    addToList,
+    removeFromList,
+    moveListItem,
+    removeListItem,
+    createList,
+    deleteList,
+  };
+};
+
+export default useChannelLists;
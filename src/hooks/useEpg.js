@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import useStoredState from "./useStoredState";
+import { buildEpgIndex, fetchXmltv } from "../utils/xmltv";
+
+export const EPG_URL_STORAGE_KEY = "iptv-epg-url";
+
+// Parsed XMLTV documents are kept for the lifetime of the page so switching
+// between the channel list and the guide does not download them again.
+const documentCache = new Map();
+
+const loadDocument = (url) => {
+  if (!documentCache.has(url)) {
+    const promise = fetchXmltv(url).catch((err) => {
+      documentCache.delete(url);
+      throw err;
+    });
+    documentCache.set(url, promise);
+  }
+  return documentCache.get(url);
+};
+
+/**
+ * Loads programme data for the enabled playlist sources. A custom XMLTV URL
+ * replaces the `url-tvg` URLs declared in the playlist headers.
+ */
+const useEpg = (sources) => {
+  const [customUrl, setCustomUrl] = useStoredState(EPG_URL_STORAGE_KEY, "");
+  const [state, setState] = useState({ index: null, loading: false, errors: [] });
+  const [reloadToken, setReloadToken] = useState(0);
+
+  const playlistUrls = useMemo(
+    () => [...new Set(sources.filter((s) => s.enabled).flatMap((s) => s.epgUrls || []))],
+    [sources]
+  );
+  const urls = useMemo(
+    () => (customUrl.trim() ? [customUrl.trim()] : playlistUrls),
+    [customUrl, playlistUrls]
+  );
+  const urlsKey = urls.join("\n");
+
+  useEffect(() => {
+    const list = urlsKey ? urlsKey.split("\n") : [];
+    if (list.length === 0) {
+      setState({ index: null, loading: false, errors: [] });
+      return;
+    }
+
+    let cancelled = false;
+    setState((prev) => ({ ...prev, loading: true }));
+    Promise.allSettled(list.map(loadDocument)).then((results) => {
+      if (cancelled) return;
+      const documents = [];
+      const errors = [];
+      results.forEach((result, i) => {
+        if (result.status === "fulfilled") {
+          documents.push(result.value);
+        } else {
+          console.error(`Failed to load EPG "${list[i]}":`, result.reason);
+          errors.push({ url: list[i], message: result.reason?.message || "Failed to load" });
+        }
+      });
+      setState({
+        index: documents.length > 0 ? buildEpgIndex(documents) : null,
+        loading: false,
+        errors,
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [urlsKey, reloadToken]);
+
+  const reload = useCallback(() => {
+    urls.forEach((url) => documentCache.delete(url));
+    setReloadToken((t) => t + 1);
+  }, [urls]);
+
+  return {
+    ...state,
+    urls,
+    playlistUrls,
+    customUrl,
+    setCustomUrl,
+    reload,
+  };
+};
+
+export default useEpg;
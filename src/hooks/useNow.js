@@ -0,0 +1,14 @@
+import { useEffect, useState } from "react";
+
+const useNow = (intervalMs = 30000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
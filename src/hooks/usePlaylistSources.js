@@ -0,0 +1,190 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  fetchPlaylistSource,
+  loadPlaylistCache,
+  loadPlaylistSources,
+  savePlaylistCache,
+  savePlaylistSources,
+  tagChannels,
+} from "../utils/playlistSources";
+import { parseM3U } from "../utils/m3u";
+import { createId } from "../utils/id";
+import { groupDuplicateChannels } from "../utils/channelGroups";
+
+const usePlaylistSources = () => {
+  const [sources, setSources] = useState(loadPlaylistSources);
+  const [cache] = useState(loadPlaylistCache);
+  const [sourceChannels, setSourceChannels] = useState(cache.channels);
+  // Playlist text per source id, kept for the cache.
+  const textsRef = useRef(cache.texts);
+  const [pending, setPending] = useState(0);
+  const initialLoadRef = useRef(false);
+
+  useEffect(() => {
+    savePlaylistSources(sources);
+  }, [sources]);
+
+  useEffect(() => {
+    savePlaylistCache(textsRef.current, sourceChannels);
+  }, [sourceChannels]);
+
+  const updateSource = useCallback((id, patch) => {
+    setSources((prev) => prev.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  }, []);
+
+  const storeSourceResult = useCallback(
+    (source, { header, channels, text }) => {
+      textsRef.current = { ...textsRef.current, [source.id]: text };
+      setSourceChannels((prev) => [
+        ...prev.filter((ch) => ch.sourceId !== source.id),
+        ...channels,
+      ]);
+      updateSource(source.id, {
+        status: "ok",
+        error: null,
+        channelCount: channels.length,
+        epgUrls: header.epgUrls,
+        lastFetchedAt: Date.now(),
+      });
+    },
+    [updateSource]
+  );
+
+  const loadSource = useCallback(
+    async (source) => {
+      updateSource(source.id, { status: "loading", error: null });
+      try {
+        storeSourceResult(source, await fetchPlaylistSource(source));
+      } catch (err) {
+        console.error(`Failed to fetch playlist "${source.name}":`, err);
+        updateSource(source.id, {
+          status: "error",
+          error: err?.message || "Failed to fetch playlist",
+          lastFetchedAt: Date.now(),
+        });
+      }
+    },
+    [updateSource, storeSourceResult]
+  );
+
+  const fetchSources = useCallback(
+    async (sourcesToFetch) => {
+      // Imported playlists have no URL; their channels only live in the cache.
+      const targets = sourcesToFetch.filter((s) => s.type !== "local");
+      if (targets.length === 0) return;
+      setPending((n) => n + 1);
+      try {
+        await Promise.all(targets.map(loadSource));
+      } finally {
+        setPending((n) => n - 1);
+      }
+    },
+    [loadSource]
+  );
+
+  // Fetch enabled sources that have no cached playlist yet, including those
+  // only cached as channels by older versions.
+  useEffect(() => {
+    if (initialLoadRef.current) return;
+    initialLoadRef.current = true;
+    fetchSources(sources.filter((s) => s.enabled && textsRef.current[s.id] == null));
+  }, [sources, fetchSources]);
+
+  const channels = useMemo(() => {
+    const bySource = new Map();
+    sourceChannels.forEach((ch) => {
+      if (!bySource.has(ch.sourceId)) bySource.set(ch.sourceId, []);
+      bySource.get(ch.sourceId).push(ch);
+    });
+    return groupDuplicateChannels(
+      sources.filter((s) => s.enabled).flatMap((s) => bySource.get(s.id) || [])
+    );
+  }, [sources, sourceChannels]);
+
+  const refreshAll = useCallback(() => {
+    fetchSources(sources.filter((s) => s.enabled));
+  }, [sources, fetchSources]);
+
+  const refreshSource = useCallback(
+    (id) => {
+      const source = sources.find((s) => s.id === id);
+      if (source) fetchSources([source]);
+    },
+    [sources, fetchSources]
+  );
+
+  const addSource = useCallback(
+    ({ name, url }) => {
+      const source = {
+        id: createId(),
+        name: name?.trim() || url,
+        url: url.trim(),
+        enabled: true,
+      };
+      setSources((prev) => [...prev, source]);
+      fetchSources([source]);
+    },
+    [fetchSources]
+  );
+
+  const importPlaylist = useCallback(
+    ({ name, text }) => {
+      const { header, channels: parsed, summary } = parseM3U(text);
+      if (parsed.length === 0) return summary;
+      const source = {
+        id: createId(),
+        name: name?.trim() || "Imported playlist",
+        type: "local",
+        url: null,
+        enabled: true,
+      };
+      setSources((prev) => [...prev, source]);
+      storeSourceResult(source, { header, channels: tagChannels(parsed, source.id), text });
+      return summary;
+    },
+    [storeSourceResult]
+  );
+
+  const removeSource = useCallback((id) => {
+    setSources((prev) => prev.filter((s) => s.id !== id));
+    setSourceChannels((prev) => prev.filter((ch) => ch.sourceId !== id));
+  }, []);
+
+  const toggleSource = useCallback(
+    (id) => {
+      const source = sources.find((s) => s.id === id);
+      if (!source) return;
+      updateSource(id, { enabled: !source.enabled });
+      if (!source.enabled && !sourceChannels.some((ch) => ch.sourceId === id)) {
+        fetchSources([source]);
+      }
+    },
+    [sources, sourceChannels, updateSource, fetchSources]
+  );
+
+  const moveSource = useCallback((id, direction) => {
+    setSources((prev) => {
+      const index = prev.findIndex((s) => s.id === id);
+      const target = index + direction;
+      if (index < 0 || target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  return {
+    sources,
+    channels,
+    loading: pending > 0,
+    refreshAll,
+    refreshSource,
+    addSource,
+    importPlaylist,
+    removeSource,
+    toggleSource,
+    moveSource,
+  };
+};
+
+export default usePlaylistSources;
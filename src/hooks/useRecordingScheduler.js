@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import useStoredState from "./useStoredState";
+import { startHeadlessRecording } from "../utils/recorder";
+import { saveRecording } from "../utils/recordingsDb";
+import { getPlayerSources, getStreamEntries } from "../utils/channelGroups";
+import { DEFAULT_PROXY_SETTINGS, PROXY_SETTINGS_STORAGE_KEY } from "../utils/proxy";
+
+export const RECORDING_SCHEDULE_STORAGE_KEY = "iptv-recording-schedule";
+// setTimeout delays are capped at about 24.8 days.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Runs scheduled recordings while the app is open, on any route. A
+ * schedule goes scheduled → recording → done, or ends as missed (the app was
+ * closed for the whole slot) or failed (the stream errored or the page was
+ * reloaded mid-recording).
+ */
+const useRecordingScheduler = () => {
+  const [schedules, setSchedules] = useStoredState(RECORDING_SCHEDULE_STORAGE_KEY, []);
+  const [proxySettings] = useStoredState(PROXY_SETTINGS_STORAGE_KEY, DEFAULT_PROXY_SETTINGS);
+  const [savedCount, setSavedCount] = useState(0);
+  const sessionsRef = useRef(new Map());
+  const [now, setNow] = useState(() => Date.now());
+
+  // Wakes up only at the next start or stop time, so the app is not
+  // re-rendered on a fixed tick.
+  useEffect(() => {
+    const next = schedules
+      .flatMap((s) => (s.status === "scheduled" ? [s.start, s.stop] : s.status === "recording" ? [s.stop] : []))
+      .filter((time) => time > now);
+    if (next.length === 0) return;
+    const delay = Math.min(Math.min(...next) - Date.now(), MAX_TIMER_DELAY);
+    const timeout = setTimeout(() => setNow(Date.now()), Math.max(0, delay));
+    return () => clearTimeout(timeout);
+  }, [schedules, now]);
+
+  const setStatus = useCallback(
+    (id, status, extra = {}) => {
+      setSchedules((prev) => prev.map((s) => (s.id === id ? { ...s, status, ...extra } : s)));
+    },
+    [setSchedules]
+  );
+
+  // `error` is set when the stream died; whatever was recorded until then
+  // is still saved.
+  const finish = useCallback(
+    async (schedule, error) => {
+      const session = sessionsRef.current.get(schedule.id);
+      if (!session || session.finishing) return;
+      // The session stays in the map until the save is done, so the schedule
+      // is not taken for interrupted meanwhile.
+      session.finishing = true;
+      try {
+        const result = await session.recorder.stop();
+        if (!result?.size) throw error || new Error("No video was received");
+        await saveRecording({
+          id: `rec-${schedule.id}`,
+          channelName: schedule.channelName,
+          channelUrl: schedule.channelUrl,
+          startedAt: session.startedAt,
+          stoppedAt: Date.now(),
+          scheduled: true,
+          ...result,
+        });
+        setStatus(schedule.id, error ? "failed" : "done", error ? { error: error.message } : {});
+        setSavedCount((count) => count + 1);
+      } catch (err) {
+        console.error("Scheduled recording failed:", err);
+        setStatus(schedule.id, "failed", { error: err.message });
+      } finally {
+        sessionsRef.current.delete(schedule.id);
+      }
+    },
+    [setStatus]
+  );
+
+  useEffect(() => {
+    schedules.forEach((schedule) => {
+      const session = sessionsRef.current.get(schedule.id);
+      if (schedule.status === "scheduled") {
+        if (now >= schedule.stop) {
+          setStatus(schedule.id, "missed");
+        } else if (now >= schedule.start && !session) {
+          try {
+            // Schedules made before stream entries were stored only have
+            // the channel URL.
+            const streams = getPlayerSources(
+              { sources: schedule.streams || [{ url: schedule.channelUrl }] },
+              { proxySettings }
+            );
+            sessionsRef.current.set(schedule.id, {
+              recorder: startHeadlessRecording(streams, { onError: (err) => finish(schedule, err) }),
+              startedAt: Date.now(),
+            });
+            setStatus(schedule.id, "recording");
+          } catch (err) {
+            setStatus(schedule.id, "failed", { error: err.message });
+          }
+        }
+      } else if (schedule.status === "recording") {
+        if (!session) {
+          setStatus(schedule.id, "failed", { error: "Interrupted" });
+        } else if (now >= schedule.stop) {
+          finish(schedule);
+        }
+      }
+    });
+  }, [now, schedules, proxySettings, setStatus, finish]);
+
+  const addSchedule = useCallback(
+    ({ channel, start, stop }) => {
+      setSchedules((prev) => [
+        ...prev,
+        {
+          id: Date.now().toString(36),
+          channelUrl: channel.url,
+          channelName: channel.name,
+          streams: getStreamEntries(channel),
+          start,
+          stop,
+          status: "scheduled",
+        },
+      ]);
+    },
+    [setSchedules]
+  );
+
+  // Removing an active schedule stops it early and keeps what was recorded.
+  const removeSchedule = useCallback(
+    (id) => {
+      const schedule = schedules.find((s) => s.id === id);
+      if (schedule && sessionsRef.current.has(id)) finish(schedule);
+      setSchedules((prev) => prev.filter((s) => s.id !== id));
+    },
+    [schedules, finish, setSchedules]
+  );
+
+  return { schedules, addSchedule, removeSchedule, savedCount };
+};
+
+export default useRecordingScheduler;
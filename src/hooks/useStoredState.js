@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+
+// Mounted instances per key, so a write in one shows up in the others
+// (e.g. player preferences across multi-view tiles).
+const listeners = new Map();
+
+const readStoredValue = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved == null ? fallback : JSON.parse(saved);
+  } catch (err) {
+    console.error(`Failed to read "${key}" from storage:`, err);
+    return fallback;
+  }
+};
+
+// A full store should cost the saved copy, not crash the app; the value
+// still lives in memory for this session.
+export const writeStoredValue = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Failed to save "${key}" to storage:`, err);
+  }
+};
+
+// useState that mirrors its value into localStorage as JSON and stays in
+// sync with other instances of the same key, in this tab and in others.
+const useStoredState = (key, fallback) => {
+  const [value, setValue] = useState(() => readStoredValue(key, fallback));
+  // The last value shared with or received from the other instances.
+  const syncedRef = useRef(value);
+  const fallbackRef = useRef(fallback);
+
+  useEffect(() => {
+    fallbackRef.current = fallback;
+  });
+
+  useEffect(() => {
+    writeStoredValue(key, value);
+    if (value === syncedRef.current) return;
+    syncedRef.current = value;
+    listeners.get(key)?.forEach((listener) => listener(value));
+  }, [key, value]);
+
+  useEffect(() => {
+    const receive = (next) => {
+      syncedRef.current = next;
+      setValue(next);
+    };
+    const handleStorage = (e) => {
+      if (e.storageArea === localStorage && e.key === key) receive(readStoredValue(key, fallbackRef.current));
+    };
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(receive);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      listeners.get(key).delete(receive);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [key]);
+
+  return [value, setValue];
+};
+
+export default useStoredState;
@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import useStoredState from "./useStoredState";
+import {
+  HEALTH_MAX_AGE,
+  PROBE_CONCURRENCY,
+  STREAM_HEALTH_STORAGE_KEY,
+  isDeadStream,
+  probeStream,
+} from "../utils/streamHealth";
+
+// Results are written back in batches so a large playlist does not
+// re-serialize the whole map after every probe.
+const FLUSH_DELAY = 1000;
+
+const streamUrls = (channels) =>
+  channels.flatMap((ch) => (ch.sources || [ch]).map((s) => s.url));
+
+/**
+ * Probes channel URLs in the background and keeps the latest result per URL.
+ * Channels with no result, or one older than HEALTH_MAX_AGE, are checked
+ * automatically; `recheck` probes everything again.
+ */
+const useStreamHealth = (channels) => {
+  const [health, setHealth] = useStoredState(STREAM_HEALTH_STORAGE_KEY, {});
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const runRef = useRef(null);
+  const bufferRef = useRef({});
+  const flushTimeoutRef = useRef(null);
+
+  const flush = useCallback(() => {
+    clearTimeout(flushTimeoutRef.current);
+    flushTimeoutRef.current = null;
+    const results = bufferRef.current;
+    bufferRef.current = {};
+    if (Object.keys(results).length > 0) {
+      setHealth((prev) => ({ ...prev, ...results }));
+    }
+  }, [setHealth]);
+
+  const run = useCallback(
+    async (urls) => {
+      runRef.current?.abort();
+      const controller = new AbortController();
+      runRef.current = controller;
+      const queue = [...new Set(urls)];
+      const total = queue.length;
+      let done = 0;
+      setProgress({ done, total });
+
+      const worker = async () => {
+        while (queue.length > 0 && !controller.signal.aborted) {
+          const url = queue.shift();
+          try {
+            bufferRef.current[url] = await probeStream(url, { signal: controller.signal });
+          } catch {
+            return;
+          }
+          done += 1;
+          setProgress({ done, total });
+          if (!flushTimeoutRef.current) {
+            flushTimeoutRef.current = setTimeout(flush, FLUSH_DELAY);
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, total) }, worker));
+      flush();
+      if (runRef.current === controller) {
+        runRef.current = null;
+        setProgress({ done: 0, total: 0 });
+      }
+    },
+    [flush]
+  );
+
+  useEffect(() => {
+    if (runRef.current || channels.length === 0) return;
+    const cutoff = Date.now() - HEALTH_MAX_AGE;
+    const stale = streamUrls(channels).filter(
+      (url) => !health[url] || health[url].checkedAt < cutoff
+    );
+    if (stale.length > 0) run(stale);
+  }, [channels, health, run]);
+
+  useEffect(
+    () => () => {
+      runRef.current?.abort();
+      clearTimeout(flushTimeoutRef.current);
+    },
+    []
+  );
+
+  const recheck = useCallback(
+    (targets = channels) => run(streamUrls(targets)),
+    [channels, run]
+  );
+
+  // A channel is as healthy as its best source.
+  const getHealth = useCallback(
+    (ch) => {
+      if (!ch) return undefined;
+      const results = (ch.sources || [ch]).map((s) => health[s.url]).filter(Boolean);
+      return results.find((r) => r.status === "ok") || results.find((r) => !isDeadStream(r)) || results[0];
+    },
+    [health]
+  );
+
+  return {
+    health,
+    getHealth,
+    checking: progress.total > 0,
+    progress,
+    recheck,
+  };
+};
+
+export default useStreamHealth;
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import useStoredState, { writeStoredValue } from "./useStoredState";
+import { createId } from "../utils/id";
+import { toListItem } from "../utils/channelLists";
+
+export const WATCH_HISTORY_STORAGE_KEY = "iptv-watch-history";
+export const LAST_CHANNEL_STORAGE_KEY = "iptv-last-channel";
+export const RESUME_LAST_CHANNEL_STORAGE_KEY = "iptv-resume-last-channel";
+
+const MAX_ENTRIES = 200;
+// Shorter visits are channel surfing and are not worth keeping.
+const MIN_DURATION = 5000;
+const UPDATE_INTERVAL = 15000;
+
+const readLastChannel = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_CHANNEL_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const toHistoryChannel = (channel) => ({
+  ...toListItem(channel),
+  logo: channel.logo || null,
+  group: channel.group || null,
+});
+
+/**
+ * Records a history entry for every channel watched longer than a few
+ * seconds and remembers the last channel for resuming on the next visit.
+ */
+const useWatchHistory = (selectedChannel) => {
+  const [history, setHistory] = useStoredState(WATCH_HISTORY_STORAGE_KEY, []);
+  const [resumeLastChannel, setResumeLastChannel] = useStoredState(RESUME_LAST_CHANNEL_STORAGE_KEY, true);
+  const [startupChannel] = useState(readLastChannel);
+  const historyRef = useRef(history);
+  const channelRef = useRef(selectedChannel);
+  useEffect(() => {
+    historyRef.current = history;
+    channelRef.current = selectedChannel;
+  }, [history, selectedChannel]);
+
+  const channelUrl = selectedChannel?.url;
+
+  useEffect(() => {
+    const channel = channelRef.current;
+    if (!channelUrl || !channel) return;
+
+    const entry = { id: createId(), channel: toHistoryChannel(channel), startedAt: Date.now(), duration: 0 };
+    writeStoredValue(LAST_CHANNEL_STORAGE_KEY, entry.channel);
+    setHistory((prev) => [entry, ...prev].slice(0, MAX_ENTRIES));
+
+    const withDuration = (list) =>
+      list.map((e) => (e.id === entry.id ? { ...e, duration: Date.now() - entry.startedAt } : e));
+
+    const update = () => setHistory(withDuration);
+    // The page may be gone before React re-renders, so write storage directly.
+    const handlePageHide = () => {
+      writeStoredValue(WATCH_HISTORY_STORAGE_KEY, withDuration(historyRef.current));
+    };
+
+    const interval = setInterval(update, UPDATE_INTERVAL);
+    window.addEventListener("pagehide", handlePageHide);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("pagehide", handlePageHide);
+      if (Date.now() - entry.startedAt < MIN_DURATION) {
+        setHistory((prev) => prev.filter((e) => e.id !== entry.id));
+      } else {
+        update();
+      }
+    };
+  }, [channelUrl, setHistory]);
+
+  const clearHistory = useCallback(() => {
+    // Keep the entry of the channel still playing so its duration keeps updating.
+    setHistory((prev) => prev.slice(0, 1).filter((e) => e.channel.url === channelRef.current?.url));
+  }, [setHistory]);
+
+  const exportHistory = useCallback(() => {
+    const blob = new Blob([JSON.stringify(historyRef.current, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `watch-history-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    // Revoking right away can cancel the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, []);
+
+  return {
+    history,
+    startupChannel,
+    resumeLastChannel,
+    setResumeLastChannel,
+    clearHistory,
+    exportHistory,
+  };
+};
+
+export default useWatchHistory;
@@ -0,0 +1,309 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import usePlaylistSources from "../hooks/usePlaylistSources";
+import useEpg from "../hooks/useEpg";
+import useNow from "../hooks/useNow";
+import { findChannelProgrammes, formatProgrammeTime } from "../utils/xmltv";
+import { getCatchupUrls } from "../utils/catchup";
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+const PX_PER_MINUTE = 4;
+const ROW_HEIGHT = 64;
+const HEADER_HEIGHT = 40;
+const CHANNEL_COLUMN_WIDTH = 200;
+const OVERSCAN_ROWS = 4;
+const OVERSCAN_PX = 400;
+// Programmes are sorted by start; this bounds how far back we look for one
+// that started before the viewport but is still running inside it.
+const MAX_PROGRAMME_LENGTH = 12 * 60 * MINUTE;
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const lowerBound = (programmes, time) => {
+  let lo = 0;
+  let hi = programmes.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (programmes[mid].start < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+const visibleProgrammes = (programmes, from, to) => {
+  const result = [];
+  for (let i = lowerBound(programmes, from - MAX_PROGRAMME_LENGTH); i < programmes.length; i++) {
+    const programme = programmes[i];
+    if (programme.start >= to) break;
+    if ((programme.stop ?? programme.start + 30 * MINUTE) > from) result.push(programme);
+  }
+  return result;
+};
+
+const GuidePage = () => {
+  const navigate = useNavigate();
+  const { sources, channels, loading } = usePlaylistSources();
+  const epg = useEpg(sources);
+  const now = useNow();
+  const scrollRef = useRef(null);
+  const initialScrollRef = useRef(false);
+  const [viewport, setViewport] = useState({ top: 0, left: 0, width: 0, height: 0 });
+
+  const rows = useMemo(
+    () => channels.map((channel) => ({ channel, programmes: findChannelProgrammes(epg.index, channel) })),
+    [channels, epg.index]
+  );
+
+  const range = useMemo(() => {
+    const today = startOfDay(Date.now());
+    let first = today;
+    let last = today + DAY;
+    rows.forEach(({ programmes }) => {
+      if (programmes.length === 0) return;
+      first = Math.min(first, programmes[0].start);
+      const end = programmes[programmes.length - 1];
+      last = Math.max(last, end.stop ?? end.start);
+    });
+    const start = Math.max(startOfDay(first), today - 7 * DAY);
+    const end = Math.min(startOfDay(last) + DAY, today + 14 * DAY);
+    return { start, end };
+  }, [rows]);
+
+  const days = useMemo(() => {
+    const list = [];
+    for (let day = range.start; day < range.end; day += DAY) list.push(day);
+    return list;
+  }, [range]);
+
+  const totalWidth = ((range.end - range.start) / MINUTE) * PX_PER_MINUTE;
+  const totalHeight = rows.length * ROW_HEIGHT;
+  const timeToX = useCallback((time) => ((time - range.start) / MINUTE) * PX_PER_MINUTE, [range.start]);
+
+  const updateViewport = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    setViewport({
+      top: el.scrollTop,
+      left: el.scrollLeft,
+      width: el.clientWidth - CHANNEL_COLUMN_WIDTH,
+      height: el.clientHeight - HEADER_HEIGHT,
+    });
+  }, []);
+
+  useLayoutEffect(() => {
+    updateViewport();
+    const el = scrollRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(updateViewport);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [updateViewport]);
+
+  const scrollToTime = useCallback(
+    (time, behavior = "smooth") => {
+      scrollRef.current?.scrollTo({ left: Math.max(0, timeToX(time)), behavior });
+    },
+    [timeToX]
+  );
+
+  useEffect(() => {
+    if (initialScrollRef.current || !epg.index) return;
+    initialScrollRef.current = true;
+    scrollToTime(Date.now() - 30 * MINUTE, "auto");
+  }, [epg.index, scrollToTime]);
+
+  const playChannel = (channel) => {
+    navigate("/", { state: { playChannelUrl: channel.url } });
+  };
+
+  const playCatchup = (channel, programme) => {
+    navigate("/", {
+      state: {
+        playChannelUrl: channel.url,
+        catchup: { title: programme.title, start: programme.start, stop: programme.stop },
+      },
+    });
+  };
+
+  const firstRow = Math.max(0, Math.floor(viewport.top / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(
+    rows.length,
+    Math.ceil((viewport.top + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS
+  );
+  const viewFrom = range.start + ((viewport.left - OVERSCAN_PX) / PX_PER_MINUTE) * MINUTE;
+  const viewTo = range.start + ((viewport.left + viewport.width + OVERSCAN_PX) / PX_PER_MINUTE) * MINUTE;
+
+  const ticks = [];
+  const tickStep = 30 * MINUTE;
+  for (let t = Math.max(range.start, Math.floor(viewFrom / tickStep) * tickStep); t < Math.min(viewTo, range.end); t += tickStep) {
+    ticks.push(t);
+  }
+
+  const nowX = timeToX(now);
+  const selectedDay = startOfDay(range.start + ((viewport.left + viewport.width / 2) / PX_PER_MINUTE) * MINUTE);
+
+  return (
+    <div className="h-screen w-screen flex flex-col bg-gradient-to-br from-gray-900 via-gray-900 to-gray-800 text-white overflow-hidden">
+      <div className="p-4 border-b border-gray-700/50 bg-gradient-to-r from-blue-600/20 to-purple-600/20 backdrop-blur-sm flex flex-wrap items-center gap-3">
+        <Link
+          to="/"
+          className="px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium transition-all duration-200 shadow-lg border border-gray-700/70 flex items-center gap-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Channels
+        </Link>
+        <span className="text-xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+          TV Guide
+        </span>
+        <div className="flex-1" />
+        <button
+          onClick={() => scrollToTime(Date.now() - 30 * MINUTE)}
+          className="px-3 py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-sm font-medium shadow-md"
+        >
+          Now
+        </button>
+        <select
+          value={selectedDay}
+          onChange={(e) => scrollToTime(Number(e.target.value))}
+          className="px-3 py-2 text-sm rounded-lg bg-gray-700/50 text-white border border-gray-600/50 focus:outline-none focus:ring-2 focus:ring-blue-500/50 cursor-pointer"
+        >
+          {days.map((day) => (
+            <option key={day} value={day}>
+              {new Date(day).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {(loading || epg.loading) && (
+        <p className="px-4 py-2 text-xs text-gray-400 border-b border-gray-700/50">Loading guide data...</p>
+      )}
+      {!epg.loading && epg.urls.length === 0 && (
+        <p className="px-4 py-2 text-xs text-gray-400 border-b border-gray-700/50">
+          No programme guide configured. Set an EPG URL in Playlists.
+        </p>
+      )}
+
+      <div ref={scrollRef} onScroll={updateViewport} className="flex-1 overflow-auto">
+        <div className="relative" style={{ width: CHANNEL_COLUMN_WIDTH + totalWidth, height: HEADER_HEIGHT + totalHeight }}>
+          {/* Timeline */}
+          <div className="sticky top-0 z-20 flex" style={{ height: HEADER_HEIGHT }}>
+            <div
+              className="sticky left-0 z-30 bg-gray-900 border-b border-r border-gray-700/50"
+              style={{ width: CHANNEL_COLUMN_WIDTH, minWidth: CHANNEL_COLUMN_WIDTH }}
+            />
+            <div className="relative bg-gray-900/95 border-b border-gray-700/50" style={{ width: totalWidth }}>
+              {ticks.map((tick) => (
+                <div
+                  key={tick}
+                  className="absolute top-0 h-full border-l border-gray-700/50 pl-2 flex items-center text-xs text-gray-400"
+                  style={{ left: timeToX(tick) }}
+                >
+                  {tick === startOfDay(tick)
+                    ? new Date(tick).toLocaleDateString([], { weekday: "short", day: "numeric" })
+                    : formatProgrammeTime(tick)}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex">
+            {/* Channel column */}
+            <div
+              className="sticky left-0 z-10 bg-gray-900 border-r border-gray-700/50"
+              style={{ width: CHANNEL_COLUMN_WIDTH, minWidth: CHANNEL_COLUMN_WIDTH, height: totalHeight }}
+            >
+              {rows.slice(firstRow, lastRow).map(({ channel }, i) => (
+                <button
+                  key={firstRow + i}
+                  onClick={() => playChannel(channel)}
+                  className="absolute left-0 right-0 flex items-center gap-2 px-3 border-b border-gray-700/50 hover:bg-gray-700/50 text-left"
+                  style={{ top: (firstRow + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                >
+                  {channel.logo ? (
+                    <img src={channel.logo} alt="" loading="lazy" className="w-8 h-8 rounded object-cover flex-shrink-0" />
+                  ) : (
+                    <span className="w-8 h-8 rounded bg-gray-700 flex items-center justify-center text-[10px] font-bold flex-shrink-0">TV</span>
+                  )}
+                  <span className="text-sm font-medium truncate">{channel.name}</span>
+                </button>
+              ))}
+            </div>
+
+            {/* Programmes */}
+            <div className="relative" style={{ width: totalWidth, height: totalHeight }}>
+              {rows.slice(firstRow, lastRow).map(({ channel, programmes }, i) => {
+                const top = (firstRow + i) * ROW_HEIGHT;
+                const visible = visibleProgrammes(programmes, viewFrom, viewTo);
+                if (visible.length === 0) {
+                  return (
+                    <div
+                      key={firstRow + i}
+                      className="absolute border-b border-gray-700/50 text-xs text-gray-600 flex items-center px-3"
+                      style={{ top, height: ROW_HEIGHT, left: Math.max(0, viewport.left), width: viewport.width }}
+                    >
+                      {programmes.length === 0 ? "No programme data" : ""}
+                    </div>
+                  );
+                }
+                return visible.map((programme) => {
+                  const stop = programme.stop ?? programme.start + 30 * MINUTE;
+                  const isLive = programme.start <= now && stop > now;
+                  const hasCatchup = stop <= now && getCatchupUrls(channel, programme, now).length > 0;
+                  return (
+                    <button
+                      key={`${firstRow + i}-${programme.start}`}
+                      onClick={() => (hasCatchup ? playCatchup(channel, programme) : playChannel(channel))}
+                      title={`${programme.title}\n${formatProgrammeTime(programme.start)} – ${formatProgrammeTime(stop)}${
+                        hasCatchup ? "\nWatch from the archive" : ""
+                      }`}
+                      className={`absolute p-2 text-left overflow-hidden border border-gray-900 rounded-md transition-colors duration-150 ${
+                        isLive
+                          ? "bg-gradient-to-r from-blue-600/40 to-purple-600/40 hover:from-blue-600/60 hover:to-purple-600/60"
+                          : hasCatchup
+                            ? "bg-gray-800/80 hover:bg-gray-700/80 text-gray-200"
+                            : stop <= now
+                              ? "bg-gray-800/60 hover:bg-gray-700/70 text-gray-400"
+                              : "bg-gray-700/60 hover:bg-gray-600/70"
+                      }`}
+                      style={{
+                        top: top + 2,
+                        height: ROW_HEIGHT - 4,
+                        left: timeToX(programme.start),
+                        width: Math.max(4, timeToX(stop) - timeToX(programme.start)),
+                      }}
+                    >
+                      <p className="text-sm font-medium truncate">
+                        {hasCatchup && <span className="mr-1 text-xs text-blue-300">↺</span>}
+                        {programme.title}
+                      </p>
+                      <p className="text-xs text-gray-400 truncate">
+                        {formatProgrammeTime(programme.start)} – {formatProgrammeTime(stop)}
+                      </p>
+                    </button>
+                  );
+                });
+              })}
+
+              {now >= range.start && now < range.end && (
+                <div
+                  className="absolute top-0 bottom-0 w-0.5 bg-red-500 z-10 pointer-events-none"
+                  style={{ left: nowX }}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuidePage;
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import Player from "../components/Player";
+import usePlaylistSources from "../hooks/usePlaylistSources";
+import { createPlaybackSource, downloadRecording, formatBytes, formatElapsed } from "../utils/recorder";
+import { deleteRecording, listRecordings } from "../utils/recordingsDb";
+
+const HOUR = 60 * 60 * 1000;
+
+const STATUS_CLASSES = {
+  scheduled: "text-blue-300",
+  recording: "text-red-400",
+  done: "text-green-400",
+  missed: "text-gray-500",
+  failed: "text-red-300",
+};
+
+// datetime-local inputs work in local time without a timezone suffix.
+const toInputValue = (time) => {
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset(), 0, 0);
+  return date.toISOString().slice(0, 16);
+};
+
+const formatDateTime = (time) =>
+  new Date(time).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+const RecordingsPage = ({ scheduler }) => {
+  const { channels } = usePlaylistSources();
+  const [recordings, setRecordings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playing, setPlaying] = useState(null);
+  const [form, setForm] = useState(() => ({
+    channelUrl: "",
+    start: toInputValue(Date.now() + 5 * 60 * 1000),
+    stop: toInputValue(Date.now() + 65 * 60 * 1000),
+  }));
+  const [formError, setFormError] = useState(null);
+  const { schedules, addSchedule, removeSchedule, savedCount } = scheduler;
+
+  useEffect(() => {
+    let cancelled = false;
+    listRecordings()
+      .then((list) => {
+        if (!cancelled) setRecordings(list);
+      })
+      .catch((err) => {
+        console.error("Failed to load recordings:", err);
+        if (!cancelled) setError("Recordings could not be loaded from browser storage.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [savedCount]);
+
+  // Blob URLs are made in the effect, not during render, so every one that
+  // is created also gets revoked.
+  const [playback, setPlayback] = useState(null);
+  useEffect(() => {
+    if (!playing) return;
+    const source = createPlaybackSource(playing);
+    setPlayback({ recording: playing, url: source.url });
+    return () => {
+      source.revoke();
+      setPlayback(null);
+    };
+  }, [playing]);
+
+  const handleDelete = async (recording) => {
+    try {
+      await deleteRecording(recording.id);
+      setRecordings((prev) => prev.filter((r) => r.id !== recording.id));
+      if (playing?.id === recording.id) setPlaying(null);
+    } catch (err) {
+      console.error("Failed to delete recording:", err);
+    }
+  };
+
+  const handleSchedule = (e) => {
+    e.preventDefault();
+    const channel = channels.find((ch) => ch.url === form.channelUrl);
+    const start = new Date(form.start).getTime();
+    const stop = new Date(form.stop).getTime();
+    if (!channel) {
+      setFormError("Choose a channel.");
+    } else if (!(stop > start)) {
+      setFormError("The end time must be after the start time.");
+    } else if (stop <= Date.now()) {
+      setFormError("The end time is already in the past.");
+    } else if (stop - start > 12 * HOUR) {
+      setFormError("Recordings are limited to 12 hours.");
+    } else {
+      addSchedule({ channel, start, stop });
+      setFormError(null);
+    }
+  };
+
+  const upcoming = [...schedules].sort((a, b) => a.start - b.start);
+
+  return (
+    <div className="min-h-screen w-screen flex flex-col bg-gradient-to-br from-gray-900 via-gray-900 to-gray-800 text-white">
+      <div className="p-4 border-b border-gray-700/50 bg-gradient-to-r from-blue-600/20 to-purple-600/20 backdrop-blur-sm flex flex-wrap items-center gap-3">
+        <Link
+          to="/"
+          className="px-4 py-2 bg-gradient-to-r from-gray-800 to-gray-900 hover:from-gray-700 hover:to-gray-800 rounded-lg text-sm font-medium transition-all duration-200 shadow-lg border border-gray-700/70 flex items-center gap-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Channels
+        </Link>
+        <span className="text-xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+          Recordings
+        </span>
+      </div>
+
+      <div className="flex-1 grid gap-4 p-4 lg:grid-cols-[1fr_360px]">
+        <div className="space-y-4 min-w-0">
+          {playing && playback?.recording === playing && (
+            <div className="rounded-xl overflow-hidden border border-gray-700/50 bg-black">
+              <div className="aspect-video">
+                {playing.kind === "segments" ? (
+                  <Player src={playback.url} channelName={playing.channelName} onBack={() => setPlaying(null)} />
+                ) : (
+                  <video src={playback.url} controls autoPlay className="w-full h-full" />
+                )}
+              </div>
+              <div className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                <span className="truncate">
+                  {playing.channelName} · {formatDateTime(playing.startedAt)}
+                </span>
+                <button onClick={() => setPlaying(null)} className="text-gray-400 hover:text-white transition-colors">
+                  Close
+                </button>
+              </div>
+            </div>
+          )}
+
+          {loading && <p className="text-sm text-gray-400">Loading recordings...</p>}
+          {error && <p className="text-sm text-red-300">{error}</p>}
+          {!loading && !error && recordings.length === 0 && (
+            <p className="text-sm text-gray-400">
+              No recordings yet. Use the record button in the player or schedule one.
+            </p>
+          )}
+          <ul className="space-y-2">
+            {recordings.map((recording) => (
+              <li
+                key={recording.id}
+                className={`flex flex-wrap items-center gap-3 p-3 rounded-xl border bg-gray-800/60 ${
+                  playing?.id === recording.id ? "border-blue-500/60" : "border-gray-700/50"
+                }`}
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium truncate">{recording.channelName || "Recording"}</p>
+                  <p className="text-xs text-gray-400">
+                    {formatDateTime(recording.startedAt)} · {formatElapsed(recording.duration * 1000)} ·{" "}
+                    {formatBytes(recording.size)}
+                    {recording.scheduled ? " · scheduled" : ""}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setPlaying(recording)}
+                  className="px-3 py-1.5 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-xs font-medium"
+                >
+                  Play
+                </button>
+                <button
+                  onClick={() => downloadRecording(recording)}
+                  className="px-3 py-1.5 rounded-lg bg-gray-700/70 hover:bg-gray-600 text-xs font-medium"
+                >
+                  Download
+                </button>
+                <button
+                  onClick={() => handleDelete(recording)}
+                  className="px-3 py-1.5 rounded-lg bg-gray-700/70 hover:bg-red-600/80 text-xs font-medium"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="space-y-4">
+          <form onSubmit={handleSchedule} className="p-4 rounded-xl border border-gray-700/50 bg-gray-800/60 space-y-3">
+            <p className="font-semibold">Schedule a recording</p>
+            <select
+              value={form.channelUrl}
+              onChange={(e) => setForm((prev) => ({ ...prev, channelUrl: e.target.value }))}
+              className="w-full px-3 py-2 text-sm rounded-lg bg-gray-700/50 text-white border border-gray-600/50 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+            >
+              <option value="">Choose a channel</option>
+              {channels.map((channel) => (
+                <option key={channel.url} value={channel.url}>
+                  {channel.name}
+                </option>
+              ))}
+            </select>
+            <label className="block text-xs text-gray-400 space-y-1">
+              <span>Start</span>
+              <input
+                type="datetime-local"
+                value={form.start}
+                onChange={(e) => setForm((prev) => ({ ...prev, start: e.target.value }))}
+                className="w-full px-3 py-2 text-sm rounded-lg bg-gray-700/50 text-white border border-gray-600/50 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+              />
+            </label>
+            <label className="block text-xs text-gray-400 space-y-1">
+              <span>End</span>
+              <input
+                type="datetime-local"
+                value={form.stop}
+                onChange={(e) => setForm((prev) => ({ ...prev, stop: e.target.value }))}
+                className="w-full px-3 py-2 text-sm rounded-lg bg-gray-700/50 text-white border border-gray-600/50 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+              />
+            </label>
+            {formError && <p className="text-xs text-red-300">{formError}</p>}
+            <button
+              type="submit"
+              className="w-full px-4 py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-sm font-medium shadow-md"
+            >
+              Schedule
+            </button>
+            <p className="text-xs text-gray-500">Scheduled recordings only run while this app is open in a browser tab.</p>
+          </form>
+
+          <div className="p-4 rounded-xl border border-gray-700/50 bg-gray-800/60 space-y-2">
+            <p className="font-semibold">Scheduled</p>
+            {upcoming.length === 0 ? (
+              <p className="text-xs text-gray-400">Nothing scheduled.</p>
+            ) : (
+              <ul className="space-y-2">
+                {upcoming.map((schedule) => (
+                  <li key={schedule.id} className="flex items-center gap-3 text-sm">
+                    <div className="flex-1 min-w-0">
+                      <p className="truncate">{schedule.channelName}</p>
+                      <p className="text-xs text-gray-400">
+                        {formatDateTime(schedule.start)} – {formatDateTime(schedule.stop)} ·{" "}
+                        <span className={STATUS_CLASSES[schedule.status]} title={schedule.error}>
+                          {schedule.status}
+                        </span>
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => removeSchedule(schedule.id)}
+                      className="text-xs text-gray-400 hover:text-white transition-colors"
+                    >
+                      {schedule.status === "recording" ? "Stop" : "Remove"}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingsPage;
@@ -1,22 +1,80 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { useNavigate, useParams } from "react-router-dom";
-import Peer from "peerjs";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import RemoteControl from "../components/RemoteControl";
+import RemoteChannelBrowser from "../components/RemoteChannelBrowser";
+import RemoteConnectionSettings from "../components/RemoteConnectionSettings";
+import useStoredState from "../hooks/useStoredState";
+import useNow from "../hooks/useNow";
+import { HEARTBEAT_INTERVAL, HEARTBEAT_TIMEOUT, REMOTE_LIST_ALL } from "../utils/remoteProtocol";
+import { PERMISSION_LABELS, PIN_LENGTH, REMOTE_PERMISSIONS, loadDeviceIdentity } from "../utils/remotePairing";
+import {
+  DEFAULT_REMOTE_CONNECTION,
+  REMOTE_CONNECTION_STORAGE_KEY,
+  TRANSPORT_LABELS,
+  connectToRemoteHost,
+  decodeRemoteConnection,
+  getReconnectDelay,
+} from "../utils/remoteTransport";
+
+const SEARCH_DELAY = 300;
+const EMPTY_CHANNEL_LIST = { items: [], total: 0, categories: [], loading: false };
+const UNPAIRED = { status: "none", permission: null, reason: "" };
 
 const RemotePage = () => {
   const { sessionId: paramSessionId } = useParams();
   const navigate = useNavigate();
-  const [clientId, setClientId] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
   const [targetSession, setTargetSession] = useState(paramSessionId || "");
-  const [connectionStatus, setConnectionStatus] = useState("initializing");
+  const [connectionStatus, setConnectionStatus] = useState("idle");
+  const [connectionError, setConnectionError] = useState(null);
+  const [transport, setTransport] = useState(null);
+  // `{ at }` while an automatic reconnect is scheduled.
+  const [reconnect, setReconnect] = useState(null);
   const [hostState, setHostState] = useState({
     channel: null,
     player: { isPlaying: false, volume: 1, isMuted: false },
     nav: { hasNext: false, hasPrev: false },
   });
 
-  const peerRef = useRef(null);
+  // Share links carry the TV's connection settings; they are kept for
+  // later visits.
+  const [storedConnection, setStoredConnection] = useStoredState(
+    REMOTE_CONNECTION_STORAGE_KEY,
+    DEFAULT_REMOTE_CONNECTION
+  );
+  // TURN credentials are not in the link; the ones set on this device stay.
+  const storedIceServers = storedConnection.iceServers;
+  const linkConnection = useMemo(() => {
+    const value = searchParams.get("connection");
+    return value ? decodeRemoteConnection(value, { iceServers: storedIceServers }) : null;
+  }, [searchParams, storedIceServers]);
+  const connectionSettings = linkConnection || storedConnection;
+  useEffect(() => {
+    if (linkConnection) setStoredConnection(linkConnection);
+  }, [linkConnection, setStoredConnection]);
+
+  const [identity] = useState(loadDeviceIdentity);
+  // "none" until the host answers, then "pending", "approved", "rejected"
+  // or "kicked".
+  const [pairing, setPairing] = useState(UNPAIRED);
+  const [pin, setPin] = useState("");
+
+  const [channelQuery, setChannelQuery] = useState("");
+  const [channelCategory, setChannelCategory] = useState(REMOTE_LIST_ALL);
+  const [channelList, setChannelList] = useState(EMPTY_CHANNEL_LIST);
+
   const connectionRef = useRef(null);
+  const sessionRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+  const lastSeenRef = useRef(0);
+  // Only the answer to the latest list request is applied.
+  const listRequestIdRef = useRef(0);
+
+  const scheduleReconnect = useCallback(() => {
+    const delay = getReconnectDelay(reconnectAttemptRef.current);
+    reconnectAttemptRef.current += 1;
+    setReconnect({ at: Date.now() + delay });
+  }, []);
 
   const destroyConnection = useCallback(() => {
     if (connectionRef.current) {
@@ -25,35 +83,63 @@ const RemotePage = () => {
     }
   }, []);
 
-const connectToSession = useCallback(
+  const connectToSession = useCallback(
     (sessionId) => {
-      if (!peerRef.current || !sessionId) return;
+      if (!sessionId) return;
 
       destroyConnection();
       setConnectionStatus("connecting");
+      setConnectionError(null);
+      setReconnect(null);
+      setPairing(UNPAIRED);
 
-      const conn = peerRef.current.connect(sessionId.trim());
+      const conn = connectToRemoteHost(sessionId.trim(), connectionSettings);
       connectionRef.current = conn;
+      sessionRef.current = sessionId;
+      // Rejected or kicked devices stay disconnected.
+      let closedByHost = false;
 
       conn.on("open", () => {
+        reconnectAttemptRef.current = 0;
+        lastSeenRef.current = Date.now();
         setConnectionStatus("connected");
-        conn.send({ type: "remote-ready" });
-        if (paramSessionId !== sessionId) {
-          navigate(`/remote/${sessionId}`, { replace: true });
-        }
+        setTransport(conn.transport);
+        conn.send({ type: "hello", payload: { deviceKey: identity.key, deviceName: identity.name } });
       });
 
       conn.on("data", (message) => {
-        if (message?.type === "state") {
+        lastSeenRef.current = Date.now();
+        if (message?.type === "ping") {
+          conn.send({ type: "pong", payload: message.payload });
+        } else if (message?.type === "state") {
           setHostState(message.payload);
+        } else if (message?.type === "pairing") {
+          const { status, permission = null, reason = "" } = message.payload;
+          closedByHost = status === "rejected" || status === "kicked";
+          setPairing({ status, permission, reason });
+        } else if (message?.type === "error") {
+          setPairing((prev) => ({ ...prev, reason: message.payload?.message || "" }));
+        } else if (message?.type === "list" && message.payload?.requestId === listRequestIdRef.current) {
+          const { offset, items, total, categories } = message.payload;
+          setChannelList((prev) => ({
+            items: offset > 0 ? [...prev.items, ...items] : items,
+            total,
+            categories,
+            loading: false,
+          }));
         }
       });
 
+      // Connections this page has replaced or torn down are ignored.
       conn.on("close", () => {
-        if (connectionRef.current === conn) {
-          connectionRef.current = null;
-        }
+        if (connectionRef.current !== conn) return;
+        connectionRef.current = null;
         setConnectionStatus("disconnected");
+        // Keep the host's reason when it closed the connection on purpose.
+        if (!closedByHost) {
+          setPairing(UNPAIRED);
+          scheduleReconnect();
+        }
         setHostState((prev) => ({
           ...prev,
           channel: null,
@@ -61,63 +147,126 @@ const connectToSession = useCallback(
         }));
       });
 
-      conn.on("error", () => {
-        if (connectionRef.current === conn) {
-          connectionRef.current = null;
-        }
+      conn.on("error", (err) => {
+        if (connectionRef.current !== conn) return;
+        connectionRef.current = null;
         setConnectionStatus("error");
+        setConnectionError(err?.message || null);
+        scheduleReconnect();
       });
-  },
-  [navigate, paramSessionId, destroyConnection]
-);
-
-useEffect(() => {
-  const peer = new Peer(undefined, { debug: 0 });
-  peerRef.current = peer;
-
-  peer.on("open", (id) => {
-    setClientId(id);
-    setConnectionStatus("idle");
-    if (paramSessionId) {
-      connectToSession(paramSessionId);
-    }
-  });
+    },
+    [destroyConnection, identity, connectionSettings, scheduleReconnect]
+  );
 
-  peer.on("error", () => {
-    setConnectionStatus("error");
-  });
+  // The session code lives in the URL; changing it (or the connection
+  // settings) reconnects.
+  useEffect(() => {
+    if (paramSessionId) connectToSession(paramSessionId);
+    return destroyConnection;
+  }, [paramSessionId, connectToSession, destroyConnection]);
+
+  useEffect(() => {
+    if (!reconnect) return;
+    const timer = setTimeout(() => connectToSession(sessionRef.current), reconnect.at - Date.now());
+    return () => clearTimeout(timer);
+  }, [reconnect, connectToSession]);
 
-  return () => {
-    destroyConnection();
-    peer.destroy();
+  const cancelReconnect = () => {
+    setReconnect(null);
+    reconnectAttemptRef.current = 0;
+  };
+
+  const handleConnect = () => {
+    reconnectAttemptRef.current = 0;
+    const sessionId = targetSession.trim();
+    if (sessionId === paramSessionId) connectToSession(sessionId);
+    else navigate(`/remote/${sessionId}`, { replace: true });
+  };
+
+  const changeConnectionSettings = (settings) => {
+    setStoredConnection(settings);
+    if (linkConnection) setSearchParams({}, { replace: true });
   };
-}, [connectToSession, destroyConnection, paramSessionId]);
 
   const sendCommand = useCallback((command, payload) => {
     if (!connectionRef.current || !connectionRef.current.open) return;
     connectionRef.current.send({ type: "command", command, payload });
   }, []);
 
+  const requestChannels = useCallback(
+    (offset) => {
+      const conn = connectionRef.current;
+      if (!conn?.open) return;
+      listRequestIdRef.current += 1;
+      setChannelList((prev) => ({ ...prev, loading: true }));
+      conn.send({
+        type: "list-request",
+        payload: {
+          requestId: listRequestIdRef.current,
+          query: channelQuery,
+          category: channelCategory,
+          offset,
+        },
+      });
+    },
+    [channelQuery, channelCategory]
+  );
+
+  // Refetch the first page when the search changes or the host's channel
+  // list does.
+  const isConnected = connectionStatus === "connected";
+  const isPaired = isConnected && pairing.status === "approved";
+  const canControl = isPaired && pairing.permission === REMOTE_PERMISSIONS.FULL;
+  const listVersion = hostState.listVersion;
+  useEffect(() => {
+    if (!isPaired) {
+      setChannelList(EMPTY_CHANNEL_LIST);
+      return;
+    }
+    const timer = setTimeout(() => requestChannels(0), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [isPaired, listVersion, requestChannels]);
+
+  // The host pings too; this side only needs to notice when it goes quiet.
+  useEffect(() => {
+    if (!isConnected) return;
+    const id = setInterval(() => {
+      const conn = connectionRef.current;
+      if (!conn) return;
+      if (Date.now() - lastSeenRef.current > HEARTBEAT_TIMEOUT) conn.close();
+      else conn.send({ type: "ping", payload: { sentAt: Date.now() } });
+    }, HEARTBEAT_INTERVAL);
+    return () => clearInterval(id);
+  }, [isConnected]);
+
+  const submitPin = (e) => {
+    e.preventDefault();
+    if (!connectionRef.current?.open || !pin) return;
+    connectionRef.current.send({ type: "pair", payload: { pin } });
+    setPin("");
+  };
+
   const connectionInfo = useMemo(() => {
     switch (connectionStatus) {
-      case "initializing":
-        return "Initializing...";
       case "idle":
         return "Enter a session code to connect";
       case "connecting":
         return "Connecting to host...";
       case "connected":
+        if (pairing.status === "pending") return "Waiting for the TV to pair this device";
+        if (pairing.status === "approved") {
+          return `Connected via ${TRANSPORT_LABELS[transport]} · ${PERMISSION_LABELS[pairing.permission]}`;
+        }
         return "Connected to host";
       case "disconnected":
-        return "Connection lost. Retry.";
+        if (pairing.status === "rejected" || pairing.status === "kicked") return pairing.reason || "Disconnected by the TV";
+        return reconnect ? "Connection lost" : "Connection lost. Retry.";
       case "error":
-        return "Connection error. Please retry.";
+        return connectionError ? `${connectionError}. Please retry.` : "Connection error. Please retry.";
       default:
         return "";
     }
-  }, [connectionStatus]);
-
-  const isConnected = connectionStatus === "connected";
+  }, [connectionStatus, pairing, transport, connectionError, reconnect]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-950 via-black to-gray-900 text-white flex flex-col items-center px-4 py-6">
@@ -139,18 +288,48 @@ useEffect(() => {
           />
         </div>
         <button
-          onClick={() => connectToSession(targetSession)}
+          onClick={handleConnect}
           disabled={!targetSession || connectionStatus === "connecting"}
           className="w-full py-3 rounded-2xl bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 disabled:opacity-50 disabled:cursor-not-allowed transition shadow-lg shadow-blue-900/40 font-semibold tracking-wide"
         >
           {connectionStatus === "connecting" ? "Connecting..." : "Connect"}
         </button>
         <p className="text-sm text-gray-400 text-center">{connectionInfo}</p>
-        {clientId && (
-          <p className="text-xs text-gray-500 text-center">
-            Your remote ID: <span className="font-mono text-gray-300">{clientId}</span>
-          </p>
+        {reconnect && (
+          <ReconnectCountdown
+            at={reconnect.at}
+            onRetry={() => connectToSession(sessionRef.current)}
+            onCancel={cancelReconnect}
+          />
+        )}
+        {isConnected && pairing.status === "pending" && (
+          <form onSubmit={submitPin} className="space-y-2">
+            <label className="block text-sm text-gray-300">PIN shown on the TV</label>
+            <div className="flex gap-2">
+              <input
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, "").slice(0, PIN_LENGTH))}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder={"0".repeat(PIN_LENGTH)}
+                className="flex-1 min-w-0 px-4 py-3 rounded-2xl bg-gray-900/80 border border-gray-700/60 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/60 placeholder-gray-600 tracking-[0.5em] text-center font-mono"
+              />
+              <button
+                type="submit"
+                disabled={pin.length < PIN_LENGTH}
+                className="px-5 rounded-2xl bg-blue-600 hover:bg-blue-500 disabled:opacity-50 font-semibold"
+              >
+                Pair
+              </button>
+            </div>
+          </form>
         )}
+        {isConnected && pairing.reason && <p className="text-sm text-yellow-300 text-center">{pairing.reason}</p>}
+        <RemoteConnectionSettings
+          key={JSON.stringify(connectionSettings)}
+          settings={connectionSettings}
+          onChange={changeConnectionSettings}
+        />
       </div>
 
       <RemoteControl
@@ -168,9 +347,49 @@ useEffect(() => {
         onVolumeUp={() => sendCommand("volume-up")}
         onVolumeDown={() => sendCommand("volume-down")}
         onVolumeChange={(value) => sendCommand("set-volume", { value })}
-        disabled={!isConnected}
+        onSeekBy={(seconds) => sendCommand("seek-by", { seconds })}
+        onGoLive={() => sendCommand("go-live")}
+        onSelectQuality={(level) => sendCommand("set-quality", { level })}
+        onSelectAudioTrack={(id) => sendCommand("set-audio-track", { id })}
+        onSelectSubtitleTrack={(id) => sendCommand("set-subtitle-track", { id })}
+        onTuneNumber={(number) => sendCommand("tune-number", { number })}
+        multiView={hostState.multiView}
+        onFocusTile={(index) => sendCommand("focus-tile", { index })}
+        disabled={!canControl}
         connectionStatus={connectionStatus}
       />
+
+      <RemoteChannelBrowser
+        items={channelList.items}
+        total={channelList.total}
+        categories={channelList.categories}
+        query={channelQuery}
+        category={channelCategory}
+        loading={channelList.loading}
+        currentUrl={hostState.channel?.url}
+        disabled={!isPaired}
+        onQueryChange={setChannelQuery}
+        onCategoryChange={setChannelCategory}
+        onLoadMore={() => requestChannels(channelList.items.length)}
+        onSelect={canControl ? (ch) => sendCommand("select-channel", { url: ch.url }) : undefined}
+      />
+    </div>
+  );
+};
+
+const ReconnectCountdown = ({ at, onRetry, onCancel }) => {
+  const now = useNow(1000);
+  const seconds = Math.max(0, Math.ceil((at - now) / 1000));
+
+  return (
+    <div className="flex items-center gap-2 bg-yellow-500/10 border border-yellow-500/30 rounded-2xl px-4 py-2 text-sm">
+      <span className="flex-1 text-yellow-200">Reconnecting in {seconds}s</span>
+      <button onClick={onRetry} className="px-3 py-1 rounded-xl bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-100">
+        Now
+      </button>
+      <button onClick={onCancel} className="px-3 py-1 rounded-xl text-gray-400 hover:text-white">
+        Cancel
+      </button>
     </div>
   );
 };
@@ -0,0 +1,141 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Playlists that enable catch-up without `catchup-days` usually keep about
+// a week of archive.
+export const DEFAULT_CATCHUP_DAYS = 7;
+
+const CATCHUP_TYPES = {
+  default: "default",
+  append: "append",
+  shift: "shift",
+  timeshift: "shift",
+  flussonic: "flussonic",
+  "flussonic-hls": "flussonic",
+  "flussonic-ts": "flussonic",
+  fs: "flussonic",
+  xc: "xc",
+};
+
+/**
+ * Reads the catch-up settings of a playlist entry. `catchup`,
+ * `catchup-source` and `catchup-days` on the `#EXTM3U` header act as
+ * defaults; the legacy `timeshift` / `tvg-rec` attributes give the archive
+ * days for shift-style catch-up.
+ */
+export const parseCatchup = (attributes, defaults = {}) => {
+  const legacyDays = attributes.timeshift || attributes["tvg-rec"];
+  const rawType =
+    attributes.catchup ||
+    attributes["catchup-type"] ||
+    defaults.catchup ||
+    defaults["catchup-type"] ||
+    (legacyDays ? "shift" : "");
+  const type = CATCHUP_TYPES[rawType.toLowerCase()];
+  if (!type) return null;
+  const days = parseInt(attributes["catchup-days"] || legacyDays || defaults["catchup-days"], 10);
+  return {
+    type,
+    source: attributes["catchup-source"] || defaults["catchup-source"] || null,
+    days: days > 0 ? days : DEFAULT_CATCHUP_DAYS,
+  };
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatUtc = (time, format) => {
+  const date = new Date(time);
+  const parts = {
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds()),
+  };
+  return format.replace(/[YmdHMS]/g, (letter) => parts[letter]);
+};
+
+const TEMPLATE_PATTERN = /\$?\{([A-Za-z-]+)(?::([^}]+))?\}/g;
+
+/**
+ * Fills a catch-up URL template. Supports the `{utc}` / `${start}` style
+ * timestamps (Unix seconds, or a date when given a format such as
+ * `{utc:Y-m-d:H-M}`), `{duration}` and `{offset}` with an optional divider
+ * (`{duration:60}` is minutes), and the `{Y}{m}{d}{H}{M}{S}` start date parts.
+ */
+export const fillCatchupTemplate = (template, { start, end, now = Date.now() }) => {
+  const times = {
+    utc: start,
+    start,
+    utcend: end,
+    end,
+    lutc: now,
+    now,
+    timestamp: now,
+  };
+  return template.replace(TEMPLATE_PATTERN, (match, name, arg) => {
+    if (name in times) {
+      return arg ? formatUtc(times[name], arg) : String(Math.floor(times[name] / 1000));
+    }
+    if (name === "duration" || name === "offset") {
+      const seconds = ((name === "duration" ? end : now) - start) / 1000;
+      return String(Math.floor(seconds / (Number(arg) || 1)));
+    }
+    if (/^[YmdHMS]$/.test(name)) return formatUtc(start, name);
+    return match;
+  });
+};
+
+const FLUSSONIC_PATTERN = /^(https?:\/\/[^/]+)\/(.*)\/([^/]*)(mpegts|\.m3u8)(\?.+=.+)?$/;
+const XTREAM_PATTERN = /^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(?:\.(?:m3u8|ts))?$/;
+
+const buildTemplate = (catchup, url) => {
+  switch (catchup.type) {
+    case "default":
+      return catchup.source;
+    case "append":
+      return catchup.source ? url + catchup.source : null;
+    case "shift":
+      return `${url}${url.includes("?") ? "&" : "?"}utc={utc}&lutc={lutc}`;
+    case "flussonic": {
+      const match = FLUSSONIC_PATTERN.exec(url);
+      if (!match) return null;
+      const [, host, path, listType, streamType, query = ""] = match;
+      return streamType === "mpegts"
+        ? `${host}/${path}/timeshift_abs-{utc}.ts${query}`
+        : `${host}/${path}/${listType || "index"}-{utc}-{duration}.m3u8${query}`;
+    }
+    case "xc": {
+      const match = XTREAM_PATTERN.exec(url);
+      if (!match) return null;
+      const [, host, username, password, streamId] = match;
+      return `${host}/timeshift/${username}/${password}/{duration:60}/{Y}-{m}-{d}:{H}-{M}/${streamId}.ts`;
+    }
+    default:
+      return null;
+  }
+};
+
+export const isInCatchupWindow = (catchup, programme, now = Date.now()) =>
+  Boolean(catchup) && programme.start < now && programme.start >= now - catchup.days * DAY;
+
+/**
+ * Builds the archive URL for a programme on one playlist entry, or null
+ * when the entry has no catch-up or the programme is outside its window.
+ */
+export const buildCatchupUrl = (entry, programme, now = Date.now()) => {
+  if (!isInCatchupWindow(entry.catchup, programme, now)) return null;
+  const template = buildTemplate(entry.catchup, entry.url);
+  if (!template) return null;
+  const end = Math.min(programme.stop ?? now, now);
+  return fillCatchupTemplate(template, { start: programme.start, end, now });
+};
+
+// Archive URLs for every source of a (possibly grouped) channel.
+export const getCatchupUrls = (channel, programme, now = Date.now()) =>
+  (channel.sources || [channel])
+    .map((entry) => ({ entry, url: buildCatchupUrl(entry, programme, now) }))
+    .filter(({ url }) => url);
+
+export const supportsCatchup = (channel) =>
+  (channel.sources || [channel]).some((entry) => entry.catchup);
@@ -0,0 +1,73 @@
+import { applyProxy } from "./proxy";
+import { normalizeChannelName } from "./xmltv";
+
+/**
+ * Merges playlist entries that describe the same channel: the same tvg-id,
+ * or the same normalized name when the entries do not disagree on tvg-id.
+ * The first entry provides the channel's metadata and primary URL; every
+ * entry is kept, in order, under `sources` for failover.
+ */
+export const groupDuplicateChannels = (channels) => {
+  const groups = [];
+  const byTvgId = new Map();
+  const byName = new Map();
+
+  channels.forEach((channel) => {
+    const tvgId = channel.tvgId?.toLowerCase();
+    const name = normalizeChannelName(channel.name);
+
+    let group = tvgId && byTvgId.get(tvgId);
+    if (!group && name) {
+      const candidate = byName.get(name);
+      if (candidate && (!tvgId || !candidate.tvgId || candidate.tvgId === tvgId)) {
+        group = candidate;
+      }
+    }
+    if (!group) {
+      group = { tvgId, entries: [] };
+      groups.push(group);
+    }
+
+    if (!group.entries.some((e) => e.url === channel.url)) {
+      group.entries.push(channel);
+    }
+    if (tvgId) {
+      group.tvgId = group.tvgId || tvgId;
+      if (!byTvgId.has(tvgId)) byTvgId.set(tvgId, group);
+    }
+    if (name && !byName.has(name)) byName.set(name, group);
+  });
+
+  return groups.map(({ entries }) => ({ ...entries[0], sources: entries }));
+};
+
+export const channelHasSource = (channel, sourceId) =>
+  (channel.sources || [channel]).some((s) => s.sourceId === sourceId);
+
+// The parts of each playlist entry needed to play it later, e.g. from a
+// recording schedule.
+export const getStreamEntries = (channel) =>
+  (channel.sources || [channel]).map(({ url, sourceId, headers, kodiProps, drm }) => ({
+    url,
+    sourceId,
+    headers,
+    kodiProps,
+    drm,
+  }));
+
+/**
+ * The Player's `sources` for a channel: every entry in failover order, sent
+ * through the proxy when the settings ask for it. Proxied URLs carry the
+ * request headers themselves; other entries keep them in `headers`.
+ */
+export const getPlayerSources = (channel, { proxySettings, sourceNames } = {}) =>
+  (channel.sources || [channel]).map((entry) => {
+    const url = applyProxy(proxySettings, entry);
+    return {
+      url,
+      label: sourceNames?.get(entry.sourceId),
+      headers: url === entry.url ? entry.headers : undefined,
+      kodiProps: entry.kodiProps,
+      drm: entry.drm,
+    };
+  });
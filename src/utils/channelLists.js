@@ -0,0 +1,30 @@
+export const CHANNEL_LISTS_STORAGE_KEY = "iptv-channel-lists";
+export const LIST_CATEGORY_PREFIX = "list:";
+export const FAVORITES_LIST_ID = "favorites";
+
+export const DEFAULT_CHANNEL_LISTS = [{ id: FAVORITES_LIST_ID, name: "Favorites", items: [] }];
+
+// List entries remember both tvg-id and URL so they still resolve after a
+// playlist refresh changes one of them.
+export const toListItem = (channel) => ({
+  tvgId: channel.tvgId || null,
+  url: channel.url,
+  name: channel.name,
+});
+
+export const itemMatchesChannel = (item, channel) =>
+  Boolean(channel) &&
+  ((item.tvgId && item.tvgId === channel.tvgId) || item.url === channel.url);
+
+export const resolveListChannels = (list, channels) => {
+  if (!list) return [];
+  const byTvgId = new Map();
+  const byUrl = new Map();
+  channels.forEach((ch) => {
+    if (ch.tvgId && !byTvgId.has(ch.tvgId)) byTvgId.set(ch.tvgId, ch);
+    if (!byUrl.has(ch.url)) byUrl.set(ch.url, ch);
+  });
+  return list.items
+    .map((item) => (item.tvgId && byTvgId.get(item.tvgId)) || byUrl.get(item.url))
+    .filter(Boolean);
+};
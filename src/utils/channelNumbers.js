@@ -0,0 +1,36 @@
+export const CHANNEL_NUMBERS_STORAGE_KEY = "iptv-channel-numbers";
+
+// Overrides are stored by tvg-id when the channel has one, otherwise by URL.
+export const getChannelNumberKey = (channel) =>
+  channel.tvgId ? `tvg:${channel.tvgId}` : `url:${channel.url}`;
+
+const findOverride = (overrides, channel) =>
+  (channel.tvgId && overrides[`tvg:${channel.tvgId}`]) || overrides[`url:${channel.url}`] || null;
+
+/**
+ * Gives every channel a unique `number`. User overrides win, then the
+ * playlist's tvg-chno, and the remaining channels fill the lowest free
+ * numbers in list order.
+ */
+export const assignChannelNumbers = (channels, overrides = {}) => {
+  const numbers = new Array(channels.length).fill(null);
+  const taken = new Set();
+
+  const claim = (index, number) => {
+    if (!Number.isInteger(number) || number < 1 || taken.has(number)) return;
+    numbers[index] = number;
+    taken.add(number);
+  };
+
+  channels.forEach((ch, i) => claim(i, findOverride(overrides, ch)));
+  channels.forEach((ch, i) => numbers[i] == null && claim(i, ch.tvgChno));
+
+  let next = 1;
+  channels.forEach((ch, i) => {
+    if (numbers[i] != null) return;
+    while (taken.has(next)) next++;
+    claim(i, next);
+  });
+
+  return channels.map((ch, i) => (ch.number === numbers[i] ? ch : { ...ch, number: numbers[i] }));
+};
@@ -0,0 +1,158 @@
+export const KEY_SYSTEMS = {
+  clearkey: "org.w3.clearkey",
+  widevine: "com.widevine.alpha",
+  playready: "com.microsoft.playready",
+};
+
+const SYSTEM_LABELS = {
+  clearkey: "ClearKey",
+  widevine: "Widevine",
+  playready: "PlayReady",
+};
+
+const LICENSE_TYPES = {
+  clearkey: "clearkey",
+  "org.w3.clearkey": "clearkey",
+  widevine: "widevine",
+  "com.widevine.alpha": "widevine",
+  playready: "playready",
+  "com.microsoft.playready": "playready",
+};
+
+const HEX_KEY_PAIRS = /^[0-9a-f]{32}:[0-9a-f]{32}(\s*,\s*[0-9a-f]{32}:[0-9a-f]{32})*$/i;
+
+export const hexToBase64Url = (hex) => {
+  const bytes = hex.match(/../g).map((byte) => parseInt(byte, 16));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+// Kodi's `url|Header=value&Other=value|...` license key form.
+const parseLicenseUrl = (value) => {
+  const [url, headerText = ""] = value.split("|");
+  const headers = {};
+  headerText.split("&").forEach((pair) => {
+    const eq = pair.indexOf("=");
+    if (eq > 0) headers[pair.slice(0, eq)] = decodeURIComponent(pair.slice(eq + 1));
+  });
+  return { licenseUrl: url, headers };
+};
+
+// ClearKey keys come as `kid:key` hex pairs, a JSON `{ kid: key }` map of
+// hex strings, or a JWK set. Returned as base64url kid → key.
+const parseClearKeys = (value) => {
+  if (HEX_KEY_PAIRS.test(value)) {
+    return Object.fromEntries(
+      value.split(",").map((pair) => pair.trim().split(":").map(hexToBase64Url))
+    );
+  }
+  try {
+    const json = JSON.parse(value);
+    if (Array.isArray(json.keys)) {
+      return Object.fromEntries(json.keys.map((jwk) => [jwk.kid, jwk.k]));
+    }
+    return Object.fromEntries(Object.entries(json).map(([kid, key]) => [hexToBase64Url(kid), hexToBase64Url(key)]));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the DRM settings of a playlist entry from its `#KODIPROP` lines:
+ * `inputstream.adaptive.license_type` with `license_key`, or the combined
+ * `inputstream.adaptive.drm_legacy=type|key`. Returns null for clear
+ * streams. `keySystem` is the EME key system name; ClearKey streams carry
+ * either inline `keys` or a `licenseUrl`.
+ */
+export const parseDrm = (kodiProps = {}) => {
+  let rawType = kodiProps["inputstream.adaptive.license_type"];
+  let licenseKey = kodiProps["inputstream.adaptive.license_key"] || "";
+  if (!rawType && kodiProps["inputstream.adaptive.drm_legacy"]) {
+    const legacy = kodiProps["inputstream.adaptive.drm_legacy"];
+    const separator = legacy.indexOf("|");
+    rawType = separator >= 0 ? legacy.slice(0, separator) : legacy;
+    licenseKey = separator >= 0 ? legacy.slice(separator + 1) : "";
+  }
+  if (!rawType) return null;
+
+  const system = LICENSE_TYPES[rawType.trim().toLowerCase()] || null;
+  const drm = {
+    system,
+    keySystem: KEY_SYSTEMS[system] || rawType.trim(),
+    keys: null,
+    licenseUrl: null,
+    headers: {},
+  };
+  const value = licenseKey.trim();
+  if (/^https?:\/\//i.test(value)) {
+    Object.assign(drm, parseLicenseUrl(value));
+  } else if (system === "clearkey" && value) {
+    drm.keys = parseClearKeys(value);
+  }
+  return drm;
+};
+
+export const drmLabel = (drm) => SYSTEM_LABELS[drm.system] || drm.keySystem;
+
+const PROBE_CONFIGURATIONS = [
+  {
+    initDataTypes: ["cenc", "keyids", "webm"],
+    videoCapabilities: [
+      { contentType: 'video/mp4; codecs="avc1.42E01E"' },
+      { contentType: 'video/webm; codecs="vp9"' },
+    ],
+  },
+];
+
+/**
+ * Resolves when the browser can use the stream's key system and rejects
+ * with a message for the error overlay when it cannot.
+ */
+export const checkDrmSupport = async (drm) => {
+  const unavailable = new Error(`${drmLabel(drm)} DRM is not available in this browser`);
+  if (!navigator.requestMediaKeySystemAccess || !window.isSecureContext) throw unavailable;
+  if (drm.system === "clearkey" && !drm.keys && !drm.licenseUrl) {
+    throw new Error("This ClearKey stream has no license key in the playlist");
+  }
+  try {
+    await navigator.requestMediaKeySystemAccess(drm.keySystem, PROBE_CONFIGURATIONS);
+  } catch {
+    throw unavailable;
+  }
+};
+
+export const buildClearKeyLicense = (keys) =>
+  JSON.stringify({
+    keys: Object.entries(keys).map(([kid, k]) => ({ kty: "oct", kid, k })),
+    type: "temporary",
+  });
+
+/**
+ * hls.js EME settings for a stream. Inline ClearKey keys are served to the
+ * CDM from a blob URL, so `revoke` must be called when playback ends.
+ */
+export const getHlsDrmConfig = (drm) => {
+  let licenseUrl = drm.licenseUrl;
+  let revoke = () => {};
+  if (drm.keys) {
+    licenseUrl = URL.createObjectURL(new Blob([buildClearKeyLicense(drm.keys)], { type: "application/json" }));
+    revoke = () => URL.revokeObjectURL(licenseUrl);
+  }
+  return {
+    revoke,
+    config: {
+      emeEnabled: true,
+      drmSystems: { [drm.keySystem]: { licenseUrl } },
+      licenseXhrSetup: (xhr, url) => {
+        // Blob URLs only answer GET; the challenge is not needed for them.
+        xhr.open(drm.keys ? "GET" : "POST", url, true);
+        Object.entries(drm.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      },
+    },
+  };
+};
+
+export const getDashProtectionData = (drm) => ({
+  [drm.keySystem]: drm.keys
+    ? { clearkeys: drm.keys }
+    : { serverURL: drm.licenseUrl, httpRequestHeaders: drm.headers },
+});
@@ -0,0 +1,211 @@
+import { parseCatchup } from "./catchup";
+import { parseDrm } from "./drm";
+
+const ATTRIBUTE_PATTERN = /([A-Za-z0-9_.:-]+)=(?:"([^"]*)"|'([^']*)'|([^\s"',]+))/g;
+
+export const parseAttributes = (text) => {
+  const attributes = {};
+  if (!text) return attributes;
+  for (const match of text.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = match[1].toLowerCase();
+    attributes[key] = (match[2] ?? match[3] ?? match[4] ?? "").trim();
+  }
+  return attributes;
+};
+
+// Finds the comma that separates the EXTINF attributes from the title,
+// skipping commas that sit inside quoted attribute values.
+const findTitleSeparator = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ",") {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const parseExtInf = (line) => {
+  const body = line.slice("#EXTINF:".length);
+  const separator = findTitleSeparator(body);
+  const meta = separator >= 0 ? body.slice(0, separator) : body;
+  const title = separator >= 0 ? body.slice(separator + 1).trim() : "";
+  const durationMatch = meta.match(/^\s*(-?\d+(?:\.\d+)?)/);
+  const attributeText = durationMatch ? meta.slice(durationMatch[0].length) : meta;
+
+  return {
+    duration: durationMatch ? parseFloat(durationMatch[1]) : -1,
+    title,
+    attributes: parseAttributes(attributeText),
+  };
+};
+
+// "#EXTVLCOPT:http-referrer=https://..." -> ["http-referrer", "https://..."]
+const parseOption = (line) => {
+  const body = line.slice(line.indexOf(":") + 1).trim();
+  const eq = body.indexOf("=");
+  if (eq < 0) return [body.toLowerCase(), ""];
+  return [body.slice(0, eq).trim().toLowerCase(), body.slice(eq + 1).trim()];
+};
+
+const STREAM_URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+const splitUrlList = (value) =>
+  (value || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+// Kodi-style "https://host/stream.m3u8|User-Agent=VLC&Referer=https://..."
+// header suffix.
+const splitUrlHeaders = (rawUrl) => {
+  const separator = rawUrl.indexOf("|");
+  if (separator < 0) return { url: rawUrl, headers: {} };
+  const headers = {};
+  rawUrl
+    .slice(separator + 1)
+    .split("&")
+    .forEach((pair) => {
+      const eq = pair.indexOf("=");
+      if (eq <= 0) return;
+      const value = pair.slice(eq + 1);
+      try {
+        headers[pair.slice(0, eq).trim()] = decodeURIComponent(value);
+      } catch {
+        headers[pair.slice(0, eq).trim()] = value;
+      }
+    });
+  return { url: rawUrl.slice(0, separator), headers };
+};
+
+const NAMED_HEADERS = new Set(["user-agent", "referer", "referrer", "origin"]);
+
+const findHeader = (headers, name) =>
+  Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1] || null;
+
+const createEntry = () => ({
+  extinf: null,
+  lineNumber: null,
+  groups: [],
+  vlcOptions: {},
+  kodiProps: {},
+});
+
+const buildChannel = (entry, rawUrl, headerAttributes) => {
+  const extinf = entry.extinf || { duration: -1, title: "", attributes: {} };
+  const { attributes } = extinf;
+  const { vlcOptions, kodiProps } = entry;
+  const chno = parseInt(attributes["tvg-chno"], 10);
+  const { url, headers: urlHeaders } = splitUrlHeaders(rawUrl);
+  const userAgent =
+    attributes["user-agent"] || vlcOptions["http-user-agent"] || findHeader(urlHeaders, "user-agent");
+  const referrer =
+    attributes["http-referrer"] ||
+    vlcOptions["http-referrer"] ||
+    findHeader(urlHeaders, "referer") ||
+    findHeader(urlHeaders, "referrer");
+  const origin = vlcOptions["http-origin"] || findHeader(urlHeaders, "origin");
+
+  return {
+    name: extinf.title || attributes["tvg-name"] || "Unknown",
+    url,
+    logo: attributes["tvg-logo"] || null,
+    group: attributes["group-title"] || entry.groups[0] || "Other",
+    duration: extinf.duration,
+    tvgId: attributes["tvg-id"] || null,
+    tvgName: attributes["tvg-name"] || null,
+    tvgChno: Number.isNaN(chno) ? null : chno,
+    language: attributes["tvg-language"] || null,
+    country: attributes["tvg-country"] || null,
+    userAgent,
+    referrer,
+    headers: {
+      ...Object.fromEntries(Object.entries(urlHeaders).filter(([key]) => !NAMED_HEADERS.has(key.toLowerCase()))),
+      ...(userAgent && { "User-Agent": userAgent }),
+      ...(referrer && { Referer: referrer }),
+      ...(origin && { Origin: origin }),
+    },
+    catchup: parseCatchup(attributes, headerAttributes),
+    drm: parseDrm(kodiProps),
+    attributes,
+    groups: entry.groups,
+    vlcOptions,
+    kodiProps,
+  };
+};
+
+/**
+ * Parses an extended M3U playlist.
+ *
+ * Returns the `#EXTM3U` header (its attributes plus the EPG URLs declared by
+ * `url-tvg` / `x-tvg-url`) and one channel object per stream URL. Every
+ * EXTINF attribute is kept on `channel.attributes`; `#EXTGRP`, `#EXTVLCOPT`
+ * and `#KODIPROP` lines are collected onto the entry they precede. Catch-up
+ * attributes on the header apply to every entry that does not set its own.
+ * DRM license properties from `#KODIPROP` are parsed onto `channel.drm`.
+ * Request headers from `user-agent` / `http-referrer`, `#EXTVLCOPT` and a
+ * `|Header=value` URL suffix are merged into `channel.headers`, and the
+ * suffix is stripped from `channel.url`.
+ *
+ * `summary` reports how many channels were found, how many lines were
+ * skipped as unknown directives, and which entries were dropped as malformed.
+ */
+export const parseM3U = (text) => {
+  const lines = (text || "").replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  const header = { attributes: {}, epgUrls: [] };
+  const channels = [];
+  const summary = { channels: 0, skippedLines: 0, malformed: [] };
+  let entry = createEntry();
+
+  const dropEntry = (reason) => {
+    summary.malformed.push({ line: entry.lineNumber, reason });
+    entry = createEntry();
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith("#EXTM3U")) {
+      Object.assign(header.attributes, parseAttributes(line.slice("#EXTM3U".length)));
+    } else if (line.startsWith("#EXTINF:")) {
+      if (entry.extinf) dropEntry("EXTINF without a stream URL");
+      entry.extinf = parseExtInf(line);
+      entry.lineNumber = index + 1;
+    } else if (line.startsWith("#EXTGRP:")) {
+      const group = line.slice("#EXTGRP:".length).trim();
+      if (group) entry.groups.push(group);
+    } else if (line.startsWith("#EXTVLCOPT:")) {
+      const [key, value] = parseOption(line);
+      if (key) entry.vlcOptions[key] = value;
+    } else if (line.startsWith("#KODIPROP:")) {
+      const [key, value] = parseOption(line);
+      if (key) entry.kodiProps[key] = value;
+    } else if (line.startsWith("#")) {
+      summary.skippedLines++;
+    } else if (!STREAM_URL_PATTERN.test(line)) {
+      entry.lineNumber ??= index + 1;
+      dropEntry(`Invalid stream URL "${line}"`);
+    } else {
+      channels.push(buildChannel(entry, line, header.attributes));
+      entry = createEntry();
+    }
+  });
+
+  if (entry.extinf) dropEntry("EXTINF without a stream URL");
+  summary.channels = channels.length;
+
+  header.epgUrls = [
+    ...new Set([
+      ...splitUrlList(header.attributes["url-tvg"]),
+      ...splitUrlList(header.attributes["x-tvg-url"]),
+    ]),
+  ];
+
+  return { header, channels, summary };
+};
@@ -0,0 +1,87 @@
+import { formatBitrate } from "./quality";
+
+export const MAX_RECENT_ERRORS = 10;
+export const MAX_FRAGMENT_SAMPLES = 20;
+
+export const pushLimited = (list, item, limit) => {
+  list.push(item);
+  if (list.length > limit) list.splice(0, list.length - limit);
+};
+
+const bufferAhead = (video) => {
+  const { buffered, currentTime } = video;
+  for (let i = 0; i < buffered.length; i++) {
+    if (buffered.start(i) <= currentTime && buffered.end(i) >= currentTime) {
+      return buffered.end(i) - currentTime;
+    }
+  }
+  return 0;
+};
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * Reads a snapshot of playback diagnostics from the video element and, when
+ * playing through hls.js, from the hls instance. `engine` names the engine
+ * used for non-HLS streams.
+ */
+export const collectPlaybackStats = ({ video, hls, engine, url, fragmentLoadTimes, errors }) => {
+  const level = hls && hls.currentLevel >= 0 ? hls.levels[hls.currentLevel] : null;
+  const quality = video.getVideoPlaybackQuality?.();
+  const codecs = [level?.videoCodec, level?.audioCodec].filter(Boolean).join(", ");
+
+  return {
+    url,
+    engine: hls ? `hls.js ${hls.constructor.version || ""}`.trim() : engine || "native",
+    resolution: video.videoWidth ? `${video.videoWidth}x${video.videoHeight}` : null,
+    level: level ? `${hls.currentLevel + 1}/${hls.levels.length}${hls.autoLevelEnabled ? " (auto)" : ""}` : null,
+    bitrate: level?.bitrate || null,
+    bandwidthEstimate: hls?.bandwidthEstimate || null,
+    bufferLength: bufferAhead(video),
+    droppedFrames: quality ? quality.droppedVideoFrames : null,
+    totalFrames: quality ? quality.totalVideoFrames : null,
+    latency: hls?.latency ?? null,
+    targetLatency: hls?.targetLatency ?? null,
+    fragmentLoadLast: fragmentLoadTimes.at(-1) ?? null,
+    fragmentLoadAverage: average(fragmentLoadTimes),
+    codecs: codecs || null,
+    errors: [...errors],
+  };
+};
+
+const seconds = (value) => (value == null ? "--" : `${value.toFixed(2)} s`);
+const millis = (value) => (value == null ? "--" : `${Math.round(value)} ms`);
+
+export const formatStatsRows = (stats) => [
+  ["Engine", stats.engine],
+  ["Resolution", stats.resolution || "--"],
+  ["Level", stats.level || "--"],
+  ["Bitrate", formatBitrate(stats.bitrate) || "--"],
+  ["Bandwidth", formatBitrate(stats.bandwidthEstimate) || "--"],
+  ["Buffer", seconds(stats.bufferLength)],
+  [
+    "Dropped frames",
+    stats.droppedFrames == null ? "--" : `${stats.droppedFrames} / ${stats.totalFrames}`,
+  ],
+  [
+    "Live latency",
+    stats.latency == null
+      ? "--"
+      : `${seconds(stats.latency)}${stats.targetLatency ? ` (target ${seconds(stats.targetLatency)})` : ""}`,
+  ],
+  ["Fragment load", `${millis(stats.fragmentLoadLast)} (avg ${millis(stats.fragmentLoadAverage)})`],
+  ["Codecs", stats.codecs || "--"],
+];
+
+export const formatStatsReport = (stats) =>
+  [
+    `URL: ${stats.url}`,
+    ...formatStatsRows(stats).map(([label, value]) => `${label}: ${value}`),
+    `Recent errors (${stats.errors.length}):`,
+    ...stats.errors.map(
+      (e) => `  ${new Date(e.time).toISOString()} ${e.fatal ? "FATAL " : ""}${e.type}/${e.details}`
+    ),
+    `Reported at: ${new Date().toISOString()}`,
+    `User agent: ${navigator.userAgent}`,
+  ].join("\n");
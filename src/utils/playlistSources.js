@@ -0,0 +1,85 @@
+import { parseM3U } from "./m3u";
+
+export const PLAYLIST_SOURCES_STORAGE_KEY = "iptv-playlist-sources";
+export const CHANNELS_STORAGE_KEY = "sharedChannels";
+export const SOURCE_CATEGORY_PREFIX = "source:";
+
+const DEFAULT_SOURCES = [
+  {
+    id: "default",
+    name: "Bangladesh",
+    url: "https://raw.githubusercontent.com/bugsfreeweb/LiveTVCollector/refs/heads/main/LiveTV/Bangladesh/LiveTV.m3u",
+    enabled: true,
+  },
+];
+
+export const loadPlaylistSources = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYLIST_SOURCES_STORAGE_KEY));
+    if (Array.isArray(saved)) {
+      // A fetch interrupted by a reload never reported back.
+      return saved.map((s) => (s.status === "loading" ? { ...s, status: "idle" } : s));
+    }
+  } catch (err) {
+    console.error("Failed to read playlist sources:", err);
+  }
+  return DEFAULT_SOURCES;
+};
+
+export const savePlaylistSources = (sources) => {
+  localStorage.setItem(PLAYLIST_SOURCES_STORAGE_KEY, JSON.stringify(sources));
+};
+
+// The playlist text of every source is cached and parsed again on load, so
+// cached channels have the same shape as freshly fetched ones and the cache
+// stays about the size of the playlists. `channels` holds entries cached
+// before the text was kept, as a plain array under the same key; they are
+// only kept for sources with no text, i.e. imported playlists until they are
+// imported again.
+export const loadPlaylistCache = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CHANNELS_STORAGE_KEY));
+    // Entries saved before sources existed carry no sourceId and are dropped
+    // so they get fetched again.
+    if (Array.isArray(saved)) return { texts: {}, channels: saved.filter((ch) => ch.sourceId) };
+    if (saved?.playlists) {
+      const parsed = Object.entries(saved.playlists).flatMap(([sourceId, text]) =>
+        tagChannels(parseM3U(text).channels, sourceId)
+      );
+      const legacy = (saved.channels || []).filter((ch) => ch.sourceId && saved.playlists[ch.sourceId] == null);
+      return { texts: saved.playlists, channels: [...parsed, ...legacy] };
+    }
+  } catch (err) {
+    console.error("Failed to read cached channels:", err);
+  }
+  return { texts: {}, channels: [] };
+};
+
+// Large playlists can exceed the storage quota; the channels stay usable for
+// this session, they just get fetched again next time.
+export const savePlaylistCache = (texts, channels) => {
+  const playlists = {};
+  const legacy = [];
+  channels.forEach((ch) => {
+    if (texts[ch.sourceId] != null) playlists[ch.sourceId] = texts[ch.sourceId];
+    else legacy.push(ch);
+  });
+  try {
+    localStorage.setItem(CHANNELS_STORAGE_KEY, JSON.stringify({ playlists, channels: legacy }));
+  } catch (err) {
+    console.error("Failed to cache channels:", err);
+  }
+};
+
+export const tagChannels = (channels, sourceId) =>
+  channels.map((ch) => ({ ...ch, sourceId }));
+
+export const fetchPlaylistSource = async (source) => {
+  const response = await fetch(source.url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const text = await response.text();
+  const { header, channels } = parseM3U(text);
+  return { header, channels: tagChannels(channels, source.id), text };
+};
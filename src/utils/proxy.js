@@ -0,0 +1,38 @@
+export const PROXY_SETTINGS_STORAGE_KEY = "iptv-proxy-settings";
+
+export const PROXY_MODES = {
+  off: "Off",
+  headers: "Channels that need headers",
+  all: "All channels",
+};
+
+// `token` is the one `npm run proxy` prints on startup.
+export const DEFAULT_PROXY_SETTINGS = { url: "http://127.0.0.1:8787", token: "", mode: "off" };
+
+const hasHeaders = (entry) => Object.keys(entry.headers || {}).length > 0;
+
+/**
+ * Rewrites a stream URL to go through the bundled proxy (`npm run proxy`)
+ * when the settings ask for it. The last path segment is kept so stream
+ * type detection still sees the extension.
+ */
+export const applyProxy = (settings, entry, url = entry.url) => {
+  if (!settings?.url || settings.mode === "off") return url;
+  if (settings.mode === "headers" && !hasHeaders(entry)) return url;
+  let name = "stream";
+  try {
+    name = new URL(url).pathname.split("/").pop() || name;
+  } catch {
+    return url;
+  }
+  const params = new URLSearchParams({ token: settings.token || "", url });
+  if (hasHeaders(entry)) params.set("headers", JSON.stringify(entry.headers));
+  return `${settings.url.replace(/\/+$/, "")}/proxy/${encodeURIComponent(name)}?${params}`;
+};
+
+export const checkProxy = async (proxyUrl, token) => {
+  const params = new URLSearchParams({ token });
+  const response = await fetch(`${proxyUrl.replace(/\/+$/, "")}/health?${params}`);
+  if (response.status === 403) throw new Error("wrong token");
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+};
@@ -0,0 +1,33 @@
+export const QUALITY_PREFS_STORAGE_KEY = "iptv-quality-prefs";
+export const DEFAULT_QUALITY_PREFS = { bandwidthCap: null, dataSaver: false };
+export const BANDWIDTH_CAPS = [null, 1000000, 2500000, 5000000, 8000000];
+export const DATA_SAVER_MAX_HEIGHT = 480;
+// Multi-view tiles without focus don't need more than this.
+export const BACKGROUND_MAX_HEIGHT = 360;
+
+export const formatBitrate = (bitrate) => {
+  if (!bitrate) return "";
+  return bitrate >= 1000000 ? `${(bitrate / 1000000).toFixed(1)} Mbps` : `${Math.round(bitrate / 1000)} kbps`;
+};
+
+export const formatLevel = (level) =>
+  [level.height ? `${level.height}p` : null, formatBitrate(level.bitrate)].filter(Boolean).join(" · ") ||
+  `Level ${level.index + 1}`;
+
+/**
+ * Highest level index ABR may pick under the bandwidth cap and data saver
+ * preferences, or -1 when nothing needs capping. `maxHeight` adds a
+ * resolution limit of its own. Levels are assumed to be sorted by bitrate,
+ * as hls.js reports them.
+ */
+export const getLevelCap = (levels, { bandwidthCap, dataSaver, maxHeight }) => {
+  if (levels.length === 0 || (!bandwidthCap && !dataSaver && !maxHeight)) return -1;
+  const heightLimit = Math.min(dataSaver ? DATA_SAVER_MAX_HEIGHT : Infinity, maxHeight || Infinity);
+  let cap = 0;
+  levels.forEach((level, index) => {
+    const withinBandwidth = !bandwidthCap || !level.bitrate || level.bitrate <= bandwidthCap;
+    const withinHeight = !level.height || level.height <= heightLimit;
+    if (withinBandwidth && withinHeight) cap = index;
+  });
+  return cap === levels.length - 1 ? -1 : cap;
+};
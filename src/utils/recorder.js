@@ -0,0 +1,310 @@
+import Hls from "hls.js";
+import { checkDrmSupport, getHlsDrmConfig } from "./drm";
+import { attachEngine } from "./streamEngines";
+import { STREAM_TYPES, detectStreamType, sniffStreamType } from "./streamType";
+
+// Methods whose fragments arrive encrypted as a whole.
+const FULL_SEGMENT_ENCRYPTION = ["AES-128", "AES-256", "AES-256-CTR"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const extensionFor = (mimeType) => {
+  if (mimeType.includes("mp2t")) return "ts";
+  if (mimeType.includes("webm")) return "webm";
+  return "mp4";
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+export const formatElapsed = (ms) => {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const clock = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return hours > 0 ? `${hours}:${clock}` : clock;
+};
+
+/**
+ * Collects the main-rendition fragments hls.js downloads, untouched, so the
+ * recording keeps the original quality. Playlists that carry audio in a
+ * separate rendition are recorded without it. fMP4 streams get one init
+ * segment per quality level; `segmentInits` holds the index into `inits`
+ * that each segment was encoded against, since ABR switches levels mid-way.
+ * hls.js decrypts AES fragments inside the transmuxer without handing the
+ * clear data back, so once one shows up the recording is handed over to
+ * MediaRecorder on `video` instead.
+ */
+export const createSegmentRecorder = (hls, video) => {
+  const segments = [];
+  const durations = [];
+  const inits = [];
+  const segmentInits = [];
+  const initsByLevel = new Map();
+  const seen = new Set();
+  let size = 0;
+  let fallback = null;
+
+  const handleFragLoaded = (event, { frag, payload }) => {
+    if (frag.type !== "main" || !payload?.byteLength) return;
+    if (FULL_SEGMENT_ENCRYPTION.includes(frag.decryptdata?.method)) {
+      hls.off(Hls.Events.FRAG_LOADED, handleFragLoaded);
+      try {
+        fallback = createMediaRecorder(video);
+      } catch (err) {
+        console.warn(`Cannot record encrypted stream: ${err.message}`);
+      }
+      return;
+    }
+    // The payload is transferred to the transmux worker right after this
+    // event, so it has to be copied now.
+    const data = payload.slice(0);
+    if (frag.sn === "initSegment") {
+      if (!initsByLevel.has(frag.level)) {
+        initsByLevel.set(frag.level, inits.length);
+        inits.push(new Blob([data]));
+        size += data.byteLength;
+      }
+      return;
+    }
+    // Seeking back in a DVR window loads fragments again.
+    if (seen.has(frag.sn)) return;
+    seen.add(frag.sn);
+    segments.push(new Blob([data]));
+    segmentInits.push(initsByLevel.get(frag.level) ?? inits.length - 1);
+    durations.push(frag.duration);
+    size += data.byteLength;
+  };
+
+  hls.on(Hls.Events.FRAG_LOADED, handleFragLoaded);
+
+  return {
+    getSize: () => (fallback ? fallback.getSize() : size),
+    stop: async () => {
+      hls.off(Hls.Events.FRAG_LOADED, handleFragLoaded);
+      if (fallback) return fallback.stop();
+      return {
+        kind: "segments",
+        mimeType: inits.length ? "video/mp4" : "video/mp2t",
+        inits,
+        segmentInits,
+        segments,
+        durations,
+        size,
+        duration: durations.reduce((sum, d) => sum + d, 0),
+      };
+    },
+  };
+};
+
+// Recordings saved before level switches were tracked have a single `init`.
+const getSegmentInits = (recording) =>
+  recording.inits
+    ? { inits: recording.inits, segmentInits: recording.segmentInits }
+    : { inits: recording.init ? [recording.init] : [], segmentInits: recording.segments.map(() => 0) };
+
+// Fallback for streams the browser plays natively: re-encodes whatever the
+// video element renders.
+export const createMediaRecorder = (video) => {
+  const capture = video.captureStream || video.mozCaptureStream;
+  if (!capture || typeof MediaRecorder === "undefined") {
+    throw new Error("Recording is not supported in this browser");
+  }
+  const stream = capture.call(video);
+  const mimeType = ["video/webm;codecs=vp9,opus", "video/webm"].find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+  let size = 0;
+
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) {
+      chunks.push(e.data);
+      size += e.data.size;
+    }
+  };
+  recorder.start(1000);
+
+  return {
+    getSize: () => size,
+    stop: () =>
+      new Promise((resolve) => {
+        recorder.onstop = () => {
+          const type = recorder.mimeType || "video/webm";
+          resolve({
+            kind: "media",
+            mimeType: type,
+            blob: new Blob(chunks, { type }),
+            size,
+            duration: (Date.now() - startedAt) / 1000,
+          });
+        };
+        recorder.stop();
+      }),
+  };
+};
+
+/**
+ * Records a channel without showing it, for scheduled recordings. Streams
+ * are resolved like the Player does: DRM support is checked, the type comes
+ * from the playlist or a sniff, HLS is recorded fragment by fragment and
+ * other engines through MediaRecorder. The video element stays off-screen
+ * and muted but has to play so fragments keep loading. Sources are tried in
+ * order until one plays; `onError` fires when none does, or when the stream
+ * dies after something was recorded.
+ */
+export const startHeadlessRecording = (streams, { onError }) => {
+  if (streams.length === 0) throw new Error("The channel has no stream to record");
+  const video = document.createElement("video");
+  video.muted = true;
+  const controller = new AbortController();
+  let index = 0;
+  let current = null;
+  let done = false;
+
+  const fail = (attempt, message) => {
+    if (done || attempt !== index) return;
+    if (current?.recorder.getSize() > 0 || index >= streams.length - 1) {
+      done = true;
+      onError(new Error(message));
+      return;
+    }
+    current?.destroy();
+    current = null;
+    index += 1;
+    start();
+  };
+
+  const setupHls = (attempt, { url, drm }) => {
+    if (!Hls.isSupported()) throw new Error("Scheduled recording needs Media Source Extensions");
+    const drmConfig = drm ? getHlsDrmConfig(drm) : null;
+    const hls = new Hls({ enableWorker: true, ...drmConfig?.config });
+    current = {
+      recorder: createSegmentRecorder(hls, video),
+      destroy: () => {
+        hls.destroy();
+        drmConfig?.revoke();
+      },
+    };
+    hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      video.play().catch(() => {});
+    });
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) fail(attempt, `${data.type}: ${data.details}`);
+    });
+    hls.loadSource(url);
+    hls.attachMedia(video);
+  };
+
+  const setupEngine = async (attempt, type, { url, drm }) => {
+    const engine = await attachEngine(type, video, url, { drm, onError: (details) => fail(attempt, details) });
+    if (done || attempt !== index) {
+      engine.destroy();
+      return;
+    }
+    current = { recorder: createMediaRecorder(video), destroy: engine.destroy };
+    video.play().catch(() => {});
+  };
+
+  const start = async () => {
+    const attempt = index;
+    const stream = streams[attempt];
+    try {
+      if (stream.drm) await checkDrmSupport(stream.drm);
+      const type = detectStreamType(stream.url, stream) || (await sniffStreamType(stream.url, { signal: controller.signal, headers: stream.headers }));
+      if (done || attempt !== index) return;
+      if (type === STREAM_TYPES.HLS) setupHls(attempt, stream);
+      else await setupEngine(attempt, type, stream);
+    } catch (err) {
+      fail(attempt, err.message);
+    }
+  };
+
+  const handleVideoError = () => fail(index, video.error?.message || "Failed to load video");
+  video.addEventListener("error", handleVideoError);
+  start();
+
+  return {
+    getSize: () => current?.recorder.getSize() || 0,
+    stop: async () => {
+      done = true;
+      controller.abort();
+      video.removeEventListener("error", handleVideoError);
+      const result = current ? await current.recorder.stop() : null;
+      current?.destroy();
+      video.removeAttribute("src");
+      video.load();
+      return result;
+    },
+  };
+};
+
+export const recordingFileName = (recording) => {
+  const date = new Date(recording.startedAt);
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(
+    date.getMinutes()
+  )}`;
+  const name = (recording.channelName || "recording").replace(/[^\w-]+/g, "_");
+  return `${name}-${stamp}.${extensionFor(recording.mimeType)}`;
+};
+
+// An init segment is written again wherever the quality level changed, so
+// each run of fragments follows the init it was encoded against.
+export const recordingToBlob = (recording) => {
+  if (recording.kind !== "segments") return recording.blob;
+  const { inits, segmentInits } = getSegmentInits(recording);
+  const parts = [];
+  recording.segments.forEach((segment, i) => {
+    const init = inits[segmentInits[i]];
+    if (init && segmentInits[i] !== segmentInits[i - 1]) parts.push(init);
+    parts.push(segment);
+  });
+  return new Blob(parts, { type: recording.mimeType });
+};
+
+export const downloadRecording = (recording) => {
+  const url = URL.createObjectURL(recordingToBlob(recording));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = recordingFileName(recording);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Builds a playable source for a saved recording. Segment recordings get a
+ * VOD playlist over blob URLs so hls.js can seek through them. Call
+ * `revoke` when done.
+ */
+export const createPlaybackSource = (recording) => {
+  if (recording.kind !== "segments") {
+    const url = URL.createObjectURL(recording.blob);
+    return { url, revoke: () => URL.revokeObjectURL(url) };
+  }
+  const urls = [];
+  const toUrl = (blob) => {
+    const url = URL.createObjectURL(blob);
+    urls.push(url);
+    return url;
+  };
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:7",
+    `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(1, ...recording.durations))}`,
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+  ];
+  const { inits, segmentInits } = getSegmentInits(recording);
+  const initUrls = inits.map(toUrl);
+  recording.segments.forEach((segment, i) => {
+    if (initUrls.length && segmentInits[i] !== segmentInits[i - 1]) {
+      if (i > 0) lines.push("#EXT-X-DISCONTINUITY");
+      lines.push(`#EXT-X-MAP:URI="${initUrls[segmentInits[i]]}"`);
+    }
+    lines.push(`#EXTINF:${recording.durations[i].toFixed(3)},`, toUrl(segment));
+  });
+  lines.push("#EXT-X-ENDLIST");
+  const url = toUrl(new Blob([lines.join("\n")], { type: "application/vnd.apple.mpegurl" }));
+  return { url, revoke: () => urls.forEach((u) => URL.revokeObjectURL(u)) };
+};
@@ -0,0 +1,45 @@
+const DB_NAME = "iptv-recordings";
+const DB_VERSION = 1;
+const STORE = "recordings";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const saveRecording = (recording) => run("readwrite", (store) => store.put(recording));
+
+export const deleteRecording = (id) => run("readwrite", (store) => store.delete(id));
+
+export const getRecording = (id) => run("readonly", (store) => store.get(id));
+
+// Newest first.
+export const listRecordings = async () => {
+  const recordings = await run("readonly", (store) => store.getAll());
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+};
@@ -0,0 +1,79 @@
+export const REMOTE_DEVICES_STORAGE_KEY = "iptv-remote-devices";
+export const REMOTE_DEVICE_IDENTITY_STORAGE_KEY = "iptv-remote-device";
+export const MAX_PIN_ATTEMPTS = 3;
+export const PIN_LENGTH = 6;
+// Wrong PINs are also counted across connections, since a rejected device
+// can reconnect for a fresh PIN. Past MAX_PIN_FAILURES every wrong PIN
+// locks PIN pairing for twice as long as the last one.
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCKOUT_BASE = 30000;
+const PIN_LOCKOUT_MAX = 15 * 60000;
+
+export const REMOTE_PERMISSIONS = {
+  VIEW: "view",
+  FULL: "full",
+};
+
+export const PERMISSION_LABELS = {
+  [REMOTE_PERMISSIONS.VIEW]: "View only",
+  [REMOTE_PERMISSIONS.FULL]: "Full control",
+};
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// crypto.randomUUID is limited to secure contexts, and remotes often open
+// the app over plain http on the LAN.
+export const createDeviceKey = () =>
+  Array.from(randomBytes(16), (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+// Bytes of 250 and up are skipped so every digit is equally likely.
+export const generatePairingPin = () => {
+  let pin = "";
+  while (pin.length < PIN_LENGTH) {
+    randomBytes(PIN_LENGTH).forEach((byte) => {
+      if (byte < 250 && pin.length < PIN_LENGTH) pin += byte % 10;
+    });
+  }
+  return pin;
+};
+
+/** How long PIN pairing stays locked after `failures` wrong PINs, in ms. */
+export const getPinLockoutDelay = (failures) =>
+  failures < MAX_PIN_FAILURES ? 0 : Math.min(PIN_LOCKOUT_BASE * 2 ** (failures - MAX_PIN_FAILURES), PIN_LOCKOUT_MAX);
+
+export const guessDeviceName = (userAgent = "") => {
+  if (/iPad/.test(userAgent)) return "iPad";
+  if (/iPhone/.test(userAgent)) return "iPhone";
+  if (/Android/.test(userAgent)) return /Mobile/.test(userAgent) ? "Android phone" : "Android tablet";
+  if (/Macintosh/.test(userAgent)) return "Mac";
+  if (/Windows/.test(userAgent)) return "Windows PC";
+  if (/Linux/.test(userAgent)) return "Linux PC";
+  return "Remote device";
+};
+
+/**
+ * The remote's own identity, created on first use. The key is what the host
+ * remembers a trusted device by.
+ */
+export const loadDeviceIdentity = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REMOTE_DEVICE_IDENTITY_STORAGE_KEY));
+    if (stored?.key) return stored;
+  } catch {
+    // Fall through and create a new identity.
+  }
+  const identity = { key: createDeviceKey(), name: guessDeviceName(navigator.userAgent) };
+  localStorage.setItem(REMOTE_DEVICE_IDENTITY_STORAGE_KEY, JSON.stringify(identity));
+  return identity;
+};
+
+/**
+ * Whether a connection may send a message. Unpaired devices can only
+ * introduce themselves, enter the PIN and answer heartbeats; view-only
+ * devices can read state and browse channels but not send commands.
+ */
+export const isMessageAllowed = (client, type) => {
+  if (["hello", "pair", "ping", "pong"].includes(type)) return true;
+  if (client.status !== "approved") return false;
+  return type !== "command" || client.permission === REMOTE_PERMISSIONS.FULL;
+};
@@ -0,0 +1,60 @@
+// Messages between the host app and the phone remote. The remote sends
+// `command` and `list-request` messages; the host answers with `state` and
+// `list` messages. Either side may send `ping`, answered with `pong`.
+export const REMOTE_LIST_PAGE_SIZE = 50;
+// Both sides ping every HEARTBEAT_INTERVAL and drop a connection they have
+// heard nothing from for HEARTBEAT_TIMEOUT.
+export const HEARTBEAT_INTERVAL = 5000;
+export const HEARTBEAT_TIMEOUT = 15000;
+export const REMOTE_LIST_ALL = "All";
+
+// Only what the remote's channel list shows; full entries carry every
+// source, header and DRM setting.
+export const toRemoteChannel = (ch) => ({
+  url: ch.url,
+  name: ch.name,
+  logo: ch.logo || "",
+  group: ch.group || "Other",
+  number: ch.number ?? null,
+});
+
+export const toRemoteProgramme = (programme) =>
+  programme ? { title: programme.title, start: programme.start, stop: programme.stop ?? null } : null;
+
+/**
+ * Changes whenever the channel list the remote may have cached changes, so
+ * the remote can refetch instead of the host pushing the whole list.
+ */
+export const getChannelListVersion = (channels) => {
+  let hash = 0;
+  channels.forEach((ch) => {
+    const key = `${ch.url}\n${ch.name}\n${ch.number ?? ""}\n${ch.group || ""}`;
+    for (let i = 0; i < key.length; i++) {
+      hash = (Math.imul(hash, 31) + key.charCodeAt(i)) | 0;
+    }
+  });
+  return `${channels.length}-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * One page of channels matching a remote's search. `query` matches the
+ * channel name or number, `category` is a playlist group or "All".
+ */
+export const queryRemoteChannels = (
+  channels,
+  { query = "", category = REMOTE_LIST_ALL, offset = 0, limit = REMOTE_LIST_PAGE_SIZE } = {}
+) => {
+  const search = String(query).trim().toLowerCase();
+  const matches = channels.filter((ch) => {
+    if (category !== REMOTE_LIST_ALL && (ch.group || "Other") !== category) return false;
+    if (!search) return true;
+    return ch.name.toLowerCase().includes(search) || String(ch.number ?? "") === search;
+  });
+  const start = Math.max(0, Math.floor(offset) || 0);
+  const size = Math.min(Math.max(1, Math.floor(limit) || REMOTE_LIST_PAGE_SIZE), REMOTE_LIST_PAGE_SIZE);
+  return {
+    total: matches.length,
+    offset: start,
+    items: matches.slice(start, start + size).map(toRemoteChannel),
+  };
+};
@@ -0,0 +1,458 @@
+import Peer from "peerjs";
+
+export const REMOTE_CONNECTION_STORAGE_KEY = "iptv-remote-connection";
+
+export const REMOTE_TRANSPORTS = {
+  AUTO: "auto",
+  PEERJS: "peerjs",
+  WEBSOCKET: "websocket",
+};
+
+export const TRANSPORT_LABELS = {
+  [REMOTE_TRANSPORTS.AUTO]: "Automatic",
+  [REMOTE_TRANSPORTS.PEERJS]: "WebRTC (PeerJS)",
+  [REMOTE_TRANSPORTS.WEBSOCKET]: "WebSocket relay",
+};
+
+/**
+ * `peerServer` is empty for the public PeerJS cloud, `iceServers` holds one
+ * `url [username credential]` entry per line and `relayUrl` is the
+ * WebSocket relay from `npm run signaling`.
+ */
+export const DEFAULT_REMOTE_CONNECTION = {
+  transport: REMOTE_TRANSPORTS.AUTO,
+  peerServer: "",
+  iceServers: "",
+  relayUrl: "",
+};
+
+// How long a remote waits for a data channel before trying the relay.
+const CONNECT_TIMEOUT = 8000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+// PeerJS errors that mean the broker connection dropped; the peer can
+// register again and keeps its open data connections meanwhile.
+const PEER_BROKER_ERRORS = ["disconnected", "network", "server-error", "socket-error", "socket-closed"];
+// Close codes sent by server/signaling.js.
+const SESSION_IN_USE = 4409;
+const RELAY_CLOSE_MESSAGES = {
+  4400: "The relay rejected the connection",
+  4404: "No TV is using this session code",
+  [SESSION_IN_USE]: "This session code is already in use on the relay",
+};
+
+export const parseIceServers = (text = "") =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [urls, username, credential] = line.split(/\s+/);
+      return username ? { urls, username, credential } : { urls };
+    });
+
+export const getPeerOptions = (settings) => {
+  const options = { debug: 0 };
+  if (settings.peerServer) {
+    const url = new URL(settings.peerServer);
+    const secure = url.protocol === "https:";
+    Object.assign(options, {
+      host: url.hostname,
+      port: Number(url.port) || (secure ? 443 : 80),
+      path: url.pathname || "/",
+      secure,
+    });
+  }
+  const iceServers = parseIceServers(settings.iceServers);
+  if (iceServers.length) options.config = { iceServers };
+  return options;
+};
+
+/**
+ * Problems that would stop the remote from connecting, or null. Used by the
+ * settings form before saving.
+ */
+export const validateRemoteConnection = (settings) => {
+  if (settings.peerServer) {
+    try {
+      if (!/^https?:$/.test(new URL(settings.peerServer).protocol)) return "The PeerJS server must be an http(s) URL";
+    } catch {
+      return "The PeerJS server is not a valid URL";
+    }
+  }
+  if (settings.relayUrl) {
+    try {
+      if (!/^wss?:$/.test(new URL(settings.relayUrl).protocol)) return "The relay must be a ws:// or wss:// URL";
+    } catch {
+      return "The relay is not a valid URL";
+    }
+  }
+  if (settings.transport === REMOTE_TRANSPORTS.WEBSOCKET && !settings.relayUrl) {
+    return "Set a relay URL to use the WebSocket relay";
+  }
+  const badIce = parseIceServers(settings.iceServers).find((server) => !/^(stun|turns?):/.test(server.urls));
+  if (badIce) return `"${badIce.urls}" is not a stun: or turn: URL`;
+  return null;
+};
+
+// Relay and PeerJS are both used in automatic mode when a relay is set.
+const getTransports = (settings) => {
+  if (settings.transport !== REMOTE_TRANSPORTS.AUTO) return [settings.transport];
+  return settings.relayUrl ? [REMOTE_TRANSPORTS.PEERJS, REMOTE_TRANSPORTS.WEBSOCKET] : [REMOTE_TRANSPORTS.PEERJS];
+};
+
+/** Exponential backoff for reconnect attempt `attempt` (0-based), in ms. */
+export const getReconnectDelay = (attempt) =>
+  Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+
+const relaySocketUrl = (relayUrl, role, sessionId) => {
+  const url = new URL(relayUrl);
+  url.searchParams.set("role", role);
+  url.searchParams.set("session", sessionId);
+  return url.href;
+};
+
+const relayCloseError = (event) =>
+  new Error(RELAY_CLOSE_MESSAGES[event.code] || "Lost connection to the relay server");
+
+const parseRelayMessage = (event) => {
+  try {
+    return JSON.parse(event.data);
+  } catch {
+    return null;
+  }
+};
+
+const createEmitter = () => {
+  const listeners = {};
+  return {
+    on: (event, listener) => {
+      (listeners[event] ||= []).push(listener);
+    },
+    emit: (event, ...args) => (listeners[event] || []).forEach((listener) => listener(...args)),
+  };
+};
+
+// A relayed remote, shaped like a PeerJS DataConnection so the host treats
+// both transports the same.
+const createRelayConnection = (client, socket) => {
+  const { on, emit } = createEmitter();
+  const conn = {
+    connectionId: `relay-${client}`,
+    open: true,
+    on,
+    send: (data) => {
+      if (conn.open) socket.send(JSON.stringify({ relay: "send", client, data }));
+    },
+    close: () => {
+      if (!conn.open) return;
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ relay: "close", client }));
+      closed();
+    },
+  };
+  const closed = () => {
+    if (!conn.open) return;
+    conn.open = false;
+    emit("close");
+  };
+  return { conn, receive: (data) => emit("data", data), closed };
+};
+
+// Once registered, a dropped broker connection is retried with backoff
+// instead of failing the transport.
+const hostWithPeer = (sessionId, settings, { onReady, onConnection, onError, onDrop }) => {
+  const peer = new Peer(sessionId, getPeerOptions(settings));
+  let registered = false;
+  let stopped = false;
+  let attempt = 0;
+  let timer = null;
+
+  const reregister = () => {
+    if (timer || stopped) return;
+    onDrop();
+    timer = setTimeout(() => {
+      timer = null;
+      attempt += 1;
+      if (!peer.destroyed && peer.disconnected) peer.reconnect();
+    }, getReconnectDelay(attempt));
+  };
+
+  peer.on("open", () => {
+    registered = true;
+    attempt = 0;
+    onReady();
+  });
+  peer.on("connection", onConnection);
+  peer.on("disconnected", () => registered && reregister());
+  peer.on("error", (err) => {
+    if (registered && PEER_BROKER_ERRORS.includes(err?.type)) reregister();
+    else onError(err);
+  });
+  return () => {
+    // destroy() emits "disconnected" first.
+    stopped = true;
+    clearTimeout(timer);
+    peer.destroy();
+  };
+};
+
+// Remotes are dropped by the relay when the TV's socket closes; they
+// reconnect on their own once the socket is back. After a network blip the
+// relay may still hold the old socket until its heartbeat drops it, so a
+// "session in use" close is retried once the TV has registered before.
+const hostWithRelay = (sessionId, settings, { onReady, onConnection, onError, onDrop }) => {
+  const clients = new Map();
+  let socket = null;
+  let registered = false;
+  let stopped = false;
+  let attempt = 0;
+  let timer = null;
+
+  const connect = () => {
+    socket = new WebSocket(relaySocketUrl(settings.relayUrl, "host", sessionId));
+    const current = socket;
+    current.addEventListener("message", (event) => {
+      const message = parseRelayMessage(event);
+      if (message?.relay === "registered") {
+        registered = true;
+        attempt = 0;
+        onReady();
+      } else if (message?.relay === "open") {
+        const client = createRelayConnection(message.client, current);
+        clients.set(message.client, client);
+        onConnection(client.conn);
+      } else if (message?.relay === "data") {
+        clients.get(message.client)?.receive(message.data);
+      } else if (message?.relay === "close") {
+        clients.get(message.client)?.closed();
+        clients.delete(message.client);
+      }
+    });
+    current.addEventListener("close", (event) => {
+      clients.forEach((client) => client.closed());
+      clients.clear();
+      if (stopped) return;
+      const retryable = registered && (event.code === SESSION_IN_USE || !RELAY_CLOSE_MESSAGES[event.code]);
+      if (!retryable) {
+        onError(relayCloseError(event));
+        return;
+      }
+      onDrop();
+      timer = setTimeout(connect, getReconnectDelay(attempt++));
+    });
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    socket.close();
+  };
+};
+
+/**
+ * Listens for remotes on every transport the settings allow. Remotes arrive
+ * through `onConnection` as PeerJS-style connections whichever way they
+ * connected. `onReconnecting` fires when every registered transport lost
+ * its server and is retrying, `onReady` again once one is back, and
+ * `onError` once no transport is left running.
+ */
+export const createRemoteHost = (sessionId, settings, { onReady, onConnection, onError, onReconnecting }) => {
+  const transports = getTransports(settings);
+  const live = new Set();
+  let running = transports.length;
+
+  const stops = transports.map((transport) => {
+    let failed = false;
+    const handlers = {
+      onReady: () => {
+        live.add(transport);
+        if (live.size === 1) onReady();
+      },
+      onDrop: () => {
+        if (live.delete(transport) && live.size === 0) onReconnecting?.();
+      },
+      onConnection,
+      onError: (err) => {
+        if (failed) return;
+        failed = true;
+        running -= 1;
+        live.delete(transport);
+        if (running === 0) onError(err);
+      },
+    };
+    try {
+      return (transport === REMOTE_TRANSPORTS.WEBSOCKET ? hostWithRelay : hostWithPeer)(sessionId, settings, handlers);
+    } catch (err) {
+      setTimeout(() => handlers.onError(err));
+      return () => {};
+    }
+  });
+
+  return { destroy: () => stops.forEach((stop) => stop()) };
+};
+
+const openPeerLink = (sessionId, settings, { onOpen, onData, onClose, onError }) => {
+  const peer = new Peer(getPeerOptions(settings));
+  let dataConn = null;
+  peer.on("open", () => {
+    dataConn = peer.connect(sessionId, { reliable: true });
+    dataConn.on("open", onOpen);
+    dataConn.on("data", onData);
+    dataConn.on("close", onClose);
+    dataConn.on("error", onError);
+  });
+  // Unknown session codes and broker failures are reported on the peer.
+  peer.on("error", (err) =>
+    onError(err?.type === "peer-unavailable" ? new Error("No TV is using this session code") : err)
+  );
+  return {
+    send: (data) => dataConn?.send(data),
+    close: () => peer.destroy(),
+  };
+};
+
+const openRelayLink = (sessionId, settings, { onOpen, onData, onClose, onError }) => {
+  const socket = new WebSocket(relaySocketUrl(settings.relayUrl, "remote", sessionId));
+  socket.addEventListener("message", (event) => {
+    const message = parseRelayMessage(event);
+    if (message?.relay === "ready") onOpen();
+    else if (message?.relay === "data") onData(message.data);
+  });
+  socket.addEventListener("close", (event) => {
+    if (RELAY_CLOSE_MESSAGES[event.code]) onError(relayCloseError(event));
+    else onClose();
+  });
+  return {
+    send: (data) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ relay: "data", data }));
+    },
+    close: () => socket.close(),
+  };
+};
+
+/**
+ * Connects a remote to the TV. Transports are tried in order until one
+ * opens; the returned connection emits `open`, `data`, `close` and (when
+ * every transport failed) `error`, like a PeerJS DataConnection.
+ * `transport` says which one is in use once open.
+ */
+export const connectToRemoteHost = (sessionId, settings) => {
+  const { on, emit } = createEmitter();
+  const transports = getTransports(settings);
+  let link = null;
+  let attempt = 0;
+  let finished = false;
+
+  const conn = {
+    open: false,
+    transport: null,
+    on,
+    send: (data) => {
+      if (conn.open) link.send(data);
+    },
+    close: () => {
+      if (finished) return;
+      finished = true;
+      link?.close();
+      if (conn.open) {
+        conn.open = false;
+        emit("close");
+      }
+    },
+  };
+
+  const tryTransport = (index, lastError) => {
+    if (finished) return;
+    if (index >= transports.length) {
+      finished = true;
+      emit("error", lastError || new Error("Unable to reach the TV"));
+      return;
+    }
+    const current = ++attempt;
+    const isCurrent = () => current === attempt && !finished;
+    let opened = false;
+    const fallBack = (err) => {
+      clearTimeout(timer);
+      link?.close();
+      link = null;
+      tryTransport(index + 1, err);
+    };
+    const timer = setTimeout(() => isCurrent() && fallBack(new Error("Timed out connecting to the TV")), CONNECT_TIMEOUT);
+    const lost = () => {
+      if (!isCurrent()) return;
+      if (!opened) {
+        fallBack(new Error("The TV closed the connection"));
+        return;
+      }
+      finished = true;
+      conn.open = false;
+      link.close();
+      emit("close");
+    };
+    const handlers = {
+      onOpen: () => {
+        if (!isCurrent() || opened) return;
+        opened = true;
+        clearTimeout(timer);
+        conn.open = true;
+        conn.transport = transports[index];
+        emit("open");
+      },
+      onData: (data) => isCurrent() && emit("data", data),
+      onClose: lost,
+      onError: (err) => {
+        if (!isCurrent()) return;
+        if (opened) lost();
+        else fallBack(err);
+      },
+    };
+    const open = transports[index] === REMOTE_TRANSPORTS.WEBSOCKET ? openRelayLink : openPeerLink;
+    link = null;
+    try {
+      link = open(sessionId, settings, handlers);
+    } catch (err) {
+      setTimeout(() => isCurrent() && fallBack(err));
+    }
+  };
+
+  tryTransport(0);
+  return conn;
+};
+
+const splitIceLines = (text = "") => text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+const hasIceCredentials = (line) => line.split(/\s+/).length > 1;
+
+// Connection settings travel in the share link so a phone opening it
+// reaches the same signaling servers. TURN credentials stay out of the link,
+// since anyone who sees it or its QR code could use them; the remote keeps
+// the ones configured on it instead.
+export const encodeRemoteConnection = (settings) => {
+  const shared = {
+    ...settings,
+    iceServers: splitIceLines(settings.iceServers)
+      .filter((line) => !hasIceCredentials(line))
+      .join("\n"),
+  };
+  const custom = Object.fromEntries(
+    Object.entries(shared).filter(([key, value]) => value !== DEFAULT_REMOTE_CONNECTION[key])
+  );
+  return Object.keys(custom).length ? JSON.stringify(custom) : "";
+};
+
+export const decodeRemoteConnection = (value, current = DEFAULT_REMOTE_CONNECTION) => {
+  try {
+    const decoded = JSON.parse(value);
+    const settings = Object.fromEntries(
+      Object.keys(DEFAULT_REMOTE_CONNECTION).map((key) => [
+        key,
+        typeof decoded[key] === "string" ? decoded[key] : DEFAULT_REMOTE_CONNECTION[key],
+      ])
+    );
+    const localTurn = splitIceLines(current.iceServers).filter(hasIceCredentials);
+    settings.iceServers = [...splitIceLines(settings.iceServers), ...localTurn].join("\n");
+    return settings;
+  } catch {
+    return null;
+  }
+};
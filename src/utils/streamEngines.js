@@ -0,0 +1,69 @@
+import { STREAM_TYPES } from "./streamType";
+import { getDashProtectionData } from "./drm";
+
+/**
+ * Playback engines for streams hls.js does not handle. Each engine loads its
+ * library on demand and exposes `attach(video, url, { onError, drm })`,
+ * which resolves to `{ name, destroy }`. HLS keeps its own path in the Player
+ * because quality, tracks and live seeking are built on hls.js.
+ */
+// dash.js also reports problems it recovers from, like a failed fragment it
+// retries. Only these codes stop playback: the manifest cannot be loaded or
+// used, the browser lacks MSE or the key system, or the license is refused.
+const DASH_FATAL_ERRORS = new Set([10, 11, 23, 24, 25, 31, 32, 34, 35, 110, 111, 112, 114]);
+
+const ENGINES = {
+  [STREAM_TYPES.DASH]: {
+    attach: async (video, url, { onError, drm }) => {
+      const { MediaPlayer, supportsMediaSource } = await import("dashjs");
+      if (!supportsMediaSource()) throw new Error("DASH is not supported in this browser");
+      const player = MediaPlayer().create();
+      player.updateSettings({ debug: { logLevel: 1 } });
+      player.on(MediaPlayer.events.ERROR, (e) => {
+        if (DASH_FATAL_ERRORS.has(e.error?.code)) onError(e.error.message || "DASH playback error");
+      });
+      if (drm) player.setProtectionData(getDashProtectionData(drm));
+      player.initialize(video, url, true);
+      return { name: "dash.js", destroy: () => player.destroy() };
+    },
+  },
+  [STREAM_TYPES.MPEGTS]: {
+    attach: async (video, url, { onError, drm }) => {
+      if (drm) throw new Error("DRM is not supported for MPEG-TS streams");
+      const { default: mpegts } = await import("mpegts.js");
+      if (!mpegts.getFeatureList().mseLivePlayback) {
+        throw new Error("MPEG-TS is not supported in this browser");
+      }
+      const player = mpegts.createPlayer(
+        { type: "mpegts", isLive: true, url },
+        { enableStashBuffer: false, liveBufferLatencyChasing: true }
+      );
+      player.on(mpegts.Events.ERROR, (type, details) => onError(`${type}: ${details}`));
+      player.attachMediaElement(video);
+      player.load();
+      return {
+        name: "mpegts.js",
+        destroy: () => {
+          player.unload();
+          player.detachMediaElement();
+          player.destroy();
+        },
+      };
+    },
+  },
+  // Plain files the browser decodes by itself; errors surface on the video
+  // element.
+  [STREAM_TYPES.PROGRESSIVE]: {
+    attach: async (video, url, { drm }) => {
+      if (drm) throw new Error("DRM is not supported for progressive streams");
+      video.src = url;
+      return { name: "native", destroy: () => {} };
+    },
+  },
+};
+
+export const attachEngine = (type, video, url, handlers) => {
+  const engine = ENGINES[type];
+  if (!engine) return Promise.reject(new Error(`Unsupported stream type "${type}"`));
+  return engine.attach(video, url, handlers);
+};
@@ -0,0 +1,100 @@
+export const STREAM_HEALTH_STORAGE_KEY = "iptv-stream-health";
+export const PROBE_TIMEOUT = 8000;
+export const PROBE_CONCURRENCY = 4;
+// Results older than this are probed again by the background checker.
+export const HEALTH_MAX_AGE = 6 * 60 * 60 * 1000;
+
+export const isDeadStream = (health) =>
+  health?.status === "error" || health?.status === "timeout";
+
+const isManifest = (url, contentType) =>
+  /mpegurl/i.test(contentType || "") || /\.m3u8?($|\?)/i.test(url);
+
+// A master playlist lists its renditions; a media playlist is a single one.
+const countVariants = (text) => {
+  const variants = (text.match(/#EXT-X-STREAM-INF/g) || []).length;
+  if (variants > 0) return variants;
+  return /#EXTINF/.test(text) ? 1 : 0;
+};
+
+// Browsers report a CORS rejection as a plain network error. An opaque
+// no-cors request tells the two apart: it only succeeds when the server
+// answered.
+const isCorsBlocked = async (url, signal) => {
+  try {
+    await fetch(url, { mode: "no-cors", signal });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Fetches a channel URL and reports whether it looks playable:
+ * `{ status: "ok" | "error" | "timeout" | "cors", code, variants, responseTime, checkedAt }`.
+ */
+export const probeStream = async (url, { timeout = PROBE_TIMEOUT, signal } = {}) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort);
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const startedAt = performance.now();
+  const result = (status, extra = {}) => ({
+    status,
+    code: null,
+    variants: null,
+    responseTime: Math.round(performance.now() - startedAt),
+    checkedAt: Date.now(),
+    ...extra,
+  });
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      response.body?.cancel();
+      return result("error", { code: response.status });
+    }
+    // Progressive streams never end, so only manifests are read in full.
+    if (!isManifest(url, response.headers.get("content-type"))) {
+      response.body?.cancel();
+      return result("ok", { code: response.status });
+    }
+    const text = await response.text();
+    const variants = countVariants(text);
+    return variants > 0
+      ? result("ok", { code: response.status, variants })
+      : result("error", { code: response.status, variants });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (timedOut) return result("timeout");
+    return (await isCorsBlocked(url, signal)) ? result("cors") : result("error");
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+};
+
+export const describeHealth = (health) => {
+  if (!health) return "Not checked";
+  switch (health.status) {
+    case "ok":
+      return [
+        "Online",
+        health.variants ? `${health.variants} variant${health.variants === 1 ? "" : "s"}` : null,
+        `${health.responseTime} ms`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    case "timeout":
+      return "Timed out";
+    case "cors":
+      return "Reachable, but blocked by CORS";
+    default:
+      if (health.code && health.variants === 0) return "Not a playable manifest";
+      return health.code ? `HTTP ${health.code}` : "Unreachable";
+  }
+};
@@ -0,0 +1,109 @@
+export const STREAM_TYPES = {
+  HLS: "hls",
+  DASH: "dash",
+  MPEGTS: "mpegts",
+  PROGRESSIVE: "progressive",
+};
+
+const SNIFF_TIMEOUT = 4000;
+// Headers fetch() refuses to set; the proxy sends these instead.
+const FORBIDDEN_HEADERS = ["user-agent", "referer", "origin", "host", "cookie"];
+
+const EXTENSION_TYPES = {
+  m3u8: STREAM_TYPES.HLS,
+  m3u: STREAM_TYPES.HLS,
+  mpd: STREAM_TYPES.DASH,
+  ts: STREAM_TYPES.MPEGTS,
+  mts: STREAM_TYPES.MPEGTS,
+  m2ts: STREAM_TYPES.MPEGTS,
+  mp4: STREAM_TYPES.PROGRESSIVE,
+  m4v: STREAM_TYPES.PROGRESSIVE,
+  webm: STREAM_TYPES.PROGRESSIVE,
+  mkv: STREAM_TYPES.PROGRESSIVE,
+  mov: STREAM_TYPES.PROGRESSIVE,
+  ogv: STREAM_TYPES.PROGRESSIVE,
+};
+
+export const typeFromContentType = (contentType) => {
+  const type = (contentType || "").toLowerCase();
+  if (type.includes("mpegurl")) return STREAM_TYPES.HLS;
+  if (type.includes("dash+xml")) return STREAM_TYPES.DASH;
+  if (type.includes("mp2t") || type.includes("mpegts")) return STREAM_TYPES.MPEGTS;
+  if (/^(video|audio)\//.test(type)) return STREAM_TYPES.PROGRESSIVE;
+  return null;
+};
+
+const typeFromExtension = (url) => {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  const match = /\.([a-z0-9]+)$/i.exec(pathname);
+  return match ? EXTENSION_TYPES[match[1].toLowerCase()] || null : null;
+};
+
+// `inputstream.adaptive.manifest_type` is the usual Kodi hint; some
+// playlists only set `mimetype`.
+const typeFromKodiProps = (kodiProps = {}) => {
+  const manifestType = (kodiProps["inputstream.adaptive.manifest_type"] || "").toLowerCase();
+  if (manifestType === "mpd") return STREAM_TYPES.DASH;
+  if (manifestType === "hls") return STREAM_TYPES.HLS;
+  return typeFromContentType(kodiProps.mimetype);
+};
+
+/**
+ * Works out the stream type from what the playlist tells us: the
+ * `#KODIPROP` hints first, then the URL extension. Returns null when
+ * neither says anything.
+ */
+export const detectStreamType = (url, { kodiProps } = {}) =>
+  typeFromKodiProps(kodiProps) || typeFromExtension(url);
+
+const typeFromBytes = (bytes) => {
+  const text = new TextDecoder().decode(bytes.subarray(0, 512)).trimStart();
+  if (text.startsWith("#EXTM3U")) return STREAM_TYPES.HLS;
+  if (/^(<\?xml[^>]*>\s*)?<MPD[\s>]/.test(text)) return STREAM_TYPES.DASH;
+  // MPEG-TS packets are 188 bytes and start with the 0x47 sync byte.
+  if (bytes[0] === 0x47 && (bytes.length <= 188 || bytes[188] === 0x47)) return STREAM_TYPES.MPEGTS;
+  if (text.slice(4, 8) === "ftyp") return STREAM_TYPES.PROGRESSIVE;
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return STREAM_TYPES.PROGRESSIVE;
+  return null;
+};
+
+/**
+ * Requests the start of the stream and looks at its Content-Type and first
+ * bytes. Falls back to HLS, which is what most IPTV URLs without an
+ * extension serve, when the server does not allow cross-origin reads.
+ * `headers` are the channel's request headers, for streams not going
+ * through the proxy.
+ */
+export const sniffStreamType = async (url, { signal, headers, timeout = SNIFF_TIMEOUT } = {}) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort);
+  const timer = setTimeout(abort, timeout);
+  try {
+    const allowed = Object.entries(headers || {}).filter(([name]) => !FORBIDDEN_HEADERS.includes(name.toLowerCase()));
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { ...Object.fromEntries(allowed), Range: "bytes=0-1023" },
+    });
+    if (!response.ok) return STREAM_TYPES.HLS;
+    const declared = typeFromContentType(response.headers.get("content-type"));
+    // Servers often label playlists and TS streams as octet-stream or
+    // text/plain, so the body is checked whenever the header is vague.
+    if (declared && declared !== STREAM_TYPES.PROGRESSIVE) return declared;
+    const reader = response.body?.getReader();
+    const { value } = reader ? await reader.read() : { value: null };
+    return (value && typeFromBytes(value)) || declared || STREAM_TYPES.HLS;
+  } catch {
+    return STREAM_TYPES.HLS;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+    // Live TS responses never end on their own.
+    controller.abort();
+  }
+};
@@ -0,0 +1,40 @@
+export const TRACK_PREFS_STORAGE_KEY = "iptv-track-prefs";
+export const DEFAULT_TRACK_PREFS = {
+  audioLanguage: "",
+  subtitleLanguage: "",
+  captionSize: "medium",
+  captionBackground: "translucent",
+};
+
+export const SUBTITLES_OFF = "off";
+
+export const CAPTION_SIZES = {
+  small: "75%",
+  medium: "100%",
+  large: "150%",
+};
+
+export const CAPTION_BACKGROUNDS = {
+  none: "transparent",
+  translucent: "rgba(0, 0, 0, 0.6)",
+  solid: "rgb(0, 0, 0)",
+};
+
+// "en" matches "en", "en-US" and "eng"; a track without a language code can
+// still match on its name.
+export const matchesLanguage = (track, language) => {
+  const pref = language?.trim().toLowerCase();
+  if (!pref || !track) return false;
+  const lang = (track.lang || "").toLowerCase();
+  if (lang && (lang.startsWith(pref) || pref.startsWith(lang))) return true;
+  return (track.name || "").toLowerCase() === pref;
+};
+
+export const trackLabel = (track, fallback) =>
+  [track.name, track.lang && track.name?.toLowerCase() !== track.lang.toLowerCase() ? `(${track.lang})` : null]
+    .filter(Boolean)
+    .join(" ") || fallback;
+
+export const captionCss = (selector, { captionSize, captionBackground }) =>
+  `${selector} video::cue { font-size: ${CAPTION_SIZES[captionSize] || CAPTION_SIZES.medium}; ` +
+  `background-color: ${CAPTION_BACKGROUNDS[captionBackground] || CAPTION_BACKGROUNDS.translucent}; }`;
@@ -0,0 +1,128 @@
+// XMLTV dates look like "20240131183000 +0600"; the offset is optional and
+// the seconds may be missing on some feeds.
+export const parseXmltvDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/.exec(value?.trim() || "");
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s = "00", offset] = match;
+  let time = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  if (offset) {
+    const sign = offset[0] === "-" ? -1 : 1;
+    const minutes = parseInt(offset.slice(1, 3), 10) * 60 + parseInt(offset.slice(3, 5), 10);
+    time -= sign * minutes * 60000;
+  }
+  return time;
+};
+
+export const normalizeChannelName = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/\b(uhd|fhd|hd|sd|4k|hevc|h265)\b/g, "")
+    .replace(/\[.*?\]|\(.*?\)/g, "")
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+
+const textOf = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || "";
+
+export const parseXmltv = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XMLTV document");
+  }
+
+  const channels = Array.from(doc.getElementsByTagName("channel")).map((el) => ({
+    id: el.getAttribute("id"),
+    names: Array.from(el.getElementsByTagName("display-name")).map((n) => n.textContent.trim()),
+  }));
+
+  const programmes = [];
+  for (const el of doc.getElementsByTagName("programme")) {
+    const start = parseXmltvDate(el.getAttribute("start"));
+    const stop = parseXmltvDate(el.getAttribute("stop"));
+    if (start == null) continue;
+    programmes.push({
+      channel: el.getAttribute("channel"),
+      start,
+      stop,
+      title: textOf(el, "title") || "Untitled",
+      description: textOf(el, "desc"),
+      category: textOf(el, "category"),
+    });
+  }
+
+  return { channels, programmes };
+};
+
+const isGzip = (bytes) => bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+const gunzip = async (buffer) => {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("Gzipped EPG is not supported in this browser");
+  }
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+};
+
+// Servers often send .xml.gz without a Content-Encoding header, so the
+// payload is sniffed for the gzip magic bytes rather than trusting the URL.
+export const fetchXmltv = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  const xml = isGzip(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 2)))
+    ? await gunzip(buffer)
+    : new TextDecoder().decode(buffer);
+  return parseXmltv(xml);
+};
+
+/**
+ * Merges parsed XMLTV documents into lookup tables: programmes grouped by
+ * lower-cased channel id (sorted by start time), plus a map from normalized
+ * display names to channel ids for playlists without tvg-id.
+ */
+export const buildEpgIndex = (documents) => {
+  const programmesById = new Map();
+  const idsByName = new Map();
+
+  documents.forEach(({ channels, programmes }) => {
+    channels.forEach(({ id, names }) => {
+      if (!id) return;
+      const key = id.toLowerCase();
+      [id, ...names].forEach((name) => {
+        const normalized = normalizeChannelName(name);
+        if (normalized && !idsByName.has(normalized)) idsByName.set(normalized, key);
+      });
+    });
+    programmes.forEach((programme) => {
+      const key = programme.channel?.toLowerCase();
+      if (!key) return;
+      if (!programmesById.has(key)) programmesById.set(key, []);
+      programmesById.get(key).push(programme);
+    });
+  });
+
+  programmesById.forEach((list) => list.sort((a, b) => a.start - b.start));
+  return { programmesById, idsByName };
+};
+
+export const findChannelProgrammes = (index, channel) => {
+  if (!index || !channel) return [];
+  const byId = channel.tvgId && index.programmesById.get(channel.tvgId.toLowerCase());
+  if (byId) return byId;
+  for (const name of [channel.tvgName, channel.name]) {
+    const id = index.idsByName.get(normalizeChannelName(name));
+    if (id && index.programmesById.has(id)) return index.programmesById.get(id);
+  }
+  return [];
+};
+
+export const getNowNext = (programmes, now = Date.now()) => {
+  const index = programmes.findIndex((p) => p.start <= now && (p.stop ?? Infinity) > now);
+  if (index >= 0) {
+    return { now: programmes[index], next: programmes[index + 1] || null };
+  }
+  return { now: null, next: programmes.find((p) => p.start > now) || null };
+};
+
+export const formatProgrammeTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });